@@ -0,0 +1,163 @@
+if (!customElements.get('back-in-stock')) {
+  customElements.define(
+    'back-in-stock',
+    class BackInStock extends HTMLElement {
+      static storageKey = 'back-in-stock-signups';
+
+      variantChangeUnsubscriber = undefined;
+
+      constructor() {
+        super();
+
+        this.form = this.closest('form');
+        this.emailInput = this.form.querySelector('[name="contact[email]"]');
+        this.productTitleInput = this.form.querySelector('[data-product-title]');
+        this.variantTitleInput = this.form.querySelector('[data-variant-title]');
+        this.variantIdInput = this.form.querySelector('[data-variant-id]');
+        this.fields = this.querySelector('.back-in-stock__fields');
+        this.errorMessage = this.querySelector('.back-in-stock__error');
+        this.successMessage = this.querySelector('.back-in-stock__success');
+        this.submitButton = this.querySelector('[type="submit"]');
+        this.productFormButtons = document.getElementById(this.dataset.submitButton)?.closest('.product-form__buttons');
+
+        // Signups that had to go through the contact form's own page, e.g. for a captcha, come back as posted
+        if (this.dataset.posted === 'true') BackInStock.remember(this.variantIdInput.value);
+
+        this.form.addEventListener('submit', this.onSubmitHandler.bind(this));
+      }
+
+      connectedCallback() {
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
+          if (event.data.sectionId === this.dataset.sectionId) this.update(event.data.variant);
+        });
+
+        this.render();
+      }
+
+      disconnectedCallback() {
+        if (this.variantChangeUnsubscriber) {
+          this.variantChangeUnsubscriber();
+        }
+      }
+
+      // Ids of the variants signed up for from this browser, so the same signup isn't sent twice
+      static get signups() {
+        try {
+          return JSON.parse(localStorage.getItem(BackInStock.storageKey)) || [];
+        } catch (e) {
+          return [];
+        }
+      }
+
+      static remember(variantId) {
+        const signups = BackInStock.signups;
+        if (signups.includes(variantId)) return;
+
+        try {
+          localStorage.setItem(BackInStock.storageKey, JSON.stringify([...signups, variantId]));
+        } catch (e) {
+          console.error(e);
+        }
+      }
+
+      update(variant) {
+        this.hidden = !variant || variant.available;
+        if (variant) {
+          this.variantIdInput.value = variant.id;
+          this.variantTitleInput.value = variant.title;
+        }
+
+        this.hideError();
+        this.render();
+      }
+
+      render() {
+        const signedUp = BackInStock.signups.includes(this.variantIdInput.value);
+        this.fields.hidden = signedUp;
+        this.successMessage.hidden = !signedUp;
+
+        if (this.productFormButtons) this.productFormButtons.hidden = !this.hidden;
+      }
+
+      onSubmitHandler(evt) {
+        evt.preventDefault();
+        if (this.submitButton.getAttribute('aria-disabled') === 'true') return;
+
+        if (!this.emailInput.value || !this.emailInput.checkValidity()) {
+          this.showError(window.variantStrings.backInStockEmailInvalid);
+          this.emailInput.focus();
+          return;
+        }
+
+        const variantId = this.variantIdInput.value;
+        if (BackInStock.signups.includes(variantId)) {
+          this.render();
+          return;
+        }
+
+        this.hideError();
+        setButtonLoading(this.submitButton, true);
+
+        (this.dataset.endpoint ? this.postToEndpoint() : this.postToContactForm())
+          .then((posted) => {
+            if (!posted) return;
+
+            BackInStock.remember(variantId);
+            this.render();
+          })
+          .catch((e) => {
+            console.error(e);
+            this.showError(window.variantStrings.backInStockError);
+          })
+          .finally(() => {
+            // The button keeps loading until the contact form's page opens
+            if (this.redirecting) return;
+
+            setButtonLoading(this.submitButton, false);
+          });
+      }
+
+      postToEndpoint() {
+        return fetch(this.dataset.endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify({
+            email: this.emailInput.value,
+            product_id: parseInt(this.dataset.productId),
+            product_title: this.productTitleInput.value,
+            variant_id: parseInt(this.variantIdInput.value),
+            variant_title: this.variantTitleInput.value,
+          }),
+        }).then((response) => {
+          if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+          return true;
+        });
+      }
+
+      // The contact form answers with a redirect, to its captcha page when it suspects spam. That page can't be
+      // completed from here, so the form is then submitted the regular way
+      postToContactForm() {
+        return fetch(this.form.action, { method: 'POST', body: new FormData(this.form) }).then((response) => {
+          if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+          if (!new URL(response.url).pathname.endsWith('/challenge')) return true;
+
+          this.redirecting = true;
+          this.form.submit();
+          return false;
+        });
+      }
+
+      showError(message) {
+        setFormMessage(this.errorMessage, message);
+        this.emailInput.setAttribute('aria-invalid', true);
+        this.emailInput.setAttribute('aria-describedby', `${this.errorMessage.id} ${this.form.id}-Text`);
+      }
+
+      hideError() {
+        setFormMessage(this.errorMessage, null);
+        this.emailInput.removeAttribute('aria-invalid');
+        this.emailInput.setAttribute('aria-describedby', `${this.form.id}-Text`);
+      }
+    }
+  );
+}
@@ -0,0 +1,173 @@
+class CartError extends Error {
+  constructor({ status = null, message = null, description = null, errors = null } = {}) {
+    super(description || (typeof errors === 'string' ? errors : null) || window.cartStrings.error);
+    this.name = 'CartError';
+    this.status = status;
+    this.title = message;
+    this.description = description;
+    this.errors = errors;
+  }
+}
+
+class CartClient {
+  static #queue = Promise.resolve();
+
+  // Adds one or more variants. Accepts the FormData of a product form or a plain object for the JSON endpoint (e.g. { items: [...] })
+  static add(body, options = {}) {
+    return CartClient.#enqueue(routes.cart_add_url, body, options);
+  }
+
+  // Changes a single line, identified by its 1-based `line` index or its `id` / key
+  static change(body, options = {}) {
+    return CartClient.#enqueue(routes.cart_change_url, body, options);
+  }
+
+  // Updates several quantities at once through `updates`, or the cart `note` and `attributes`
+  static update(body, options = {}) {
+    return CartClient.#enqueue(routes.cart_update_url, body, options);
+  }
+
+  static clear(options = {}) {
+    return CartClient.#enqueue(routes.cart_clear_url, {}, options);
+  }
+
+  // Reads the cart once every mutation queued before the call has settled, so the state is never older than the UI
+  static get() {
+    const request = CartClient.#queue.then(() =>
+      fetch(`${routes.cart_url}.js`, { headers: { Accept: 'application/json' } }).then((response) => {
+        if (!response.ok) throw new CartError({ status: response.status });
+        return response.json();
+      })
+    );
+    CartClient.#queue = request.catch(() => {});
+
+    return request;
+  }
+
+  // Rates for an address ({ country, province, zip }) are calculated asynchronously: requested once, then polled.
+  // Like reads, this waits for the queued mutations, but it doesn't hold up the next ones while polling
+  static getShippingRates(address) {
+    const params = new URLSearchParams(
+      Object.entries(address).map(([field, value]) => [`shipping_address[${field}]`, value || ''])
+    );
+
+    return CartClient.#queue
+      .then(() =>
+        fetch(`${routes.cart_url}/prepare_shipping_rates.json?${params}`, {
+          method: 'POST',
+          headers: { Accept: 'application/json' },
+        })
+      )
+      .then((response) => CartClient.#parseShippingRatesResponse(response))
+      .then(() => CartClient.#pollShippingRates(params, 1));
+  }
+
+  static #pollShippingRates(params, attempt) {
+    return fetch(`${routes.cart_url}/async_shipping_rates.json?${params}`, { headers: { Accept: 'application/json' } })
+      .then((response) => CartClient.#parseShippingRatesResponse(response))
+      .then((state) => {
+        if (state?.shipping_rates) return state.shipping_rates;
+        if (attempt >= SHIPPING_RATES_POLL_ATTEMPTS) throw new CartError();
+
+        return new Promise((resolve) => setTimeout(resolve, SHIPPING_RATES_POLL_INTERVAL)).then(() =>
+          CartClient.#pollShippingRates(params, attempt + 1)
+        );
+      });
+  }
+
+  // Address errors come back as { zip: ['is not valid for Canada'] } rather than the usual cart error shape
+  static #parseShippingRatesResponse(response) {
+    return response
+      .json()
+      .catch(() => null)
+      .then((state) => {
+        if (!response.ok) throw new CartError({ status: response.status, errors: state });
+        return state;
+      });
+  }
+
+  /**
+   * Mutations are chained on a single promise so each request only starts once the previous one settled.
+   * Responses, and the section HTML they carry, are therefore always applied in the order the shopper made the changes.
+   *
+   * Options:
+   * - sections: section ids to render with the response, merged with any already present in the body
+   * - sectionsUrl: page used to render those sections, defaults to the current page
+   * - source: identifies the caller in the published events
+   * - eventData: extra properties merged into the published events
+   * - silent: skips the cartUpdate event for writes that don't affect the cart lines (e.g. the note)
+   */
+  static #enqueue(url, body, options) {
+    const request = CartClient.#queue.then(() => CartClient.#send(url, body, options));
+    CartClient.#queue = request.catch(() => {});
+
+    return request;
+  }
+
+  static #send(url, body, { sections = [], sectionsUrl = window.location.pathname, source, eventData = {}, silent }) {
+    const config = CartClient.#buildConfig(body, sections, sectionsUrl);
+
+    return fetch(url, config)
+      .catch(() => {
+        throw new CartError();
+      })
+      .then((response) =>
+        response
+          .json()
+          .catch(() => ({}))
+          .then((state) => {
+            if (!response.ok || state.status || state.errors) {
+              // Not every rejection carries its status in the body, e.g. { errors } for a change
+              throw new CartError({ ...state, status: state.status || response.status });
+            }
+            return state;
+          })
+      )
+      .then((state) => {
+        if (!silent) publish(PUB_SUB_EVENTS.cartUpdate, { source, cartData: state, ...eventData });
+        return state;
+      })
+      .catch((error) => {
+        if (error.status) {
+          publish(PUB_SUB_EVENTS.cartError, {
+            source,
+            ...eventData,
+            errors: error.errors || error.description,
+            message: error.title,
+          });
+        }
+        throw error;
+      });
+  }
+
+  static #buildConfig(body, sections, sectionsUrl) {
+    if (body instanceof FormData) {
+      const config = fetchConfig('javascript');
+      config.headers['X-Requested-With'] = 'XMLHttpRequest';
+      delete config.headers['Content-Type'];
+
+      const mergedSections = CartClient.#mergeSections(body.get('sections'), sections);
+      if (mergedSections.length) {
+        body.set('sections', mergedSections.join(','));
+        body.set('sections_url', body.get('sections_url') || sectionsUrl);
+      }
+
+      return { ...config, body };
+    }
+
+    const payload = { ...body };
+    const mergedSections = CartClient.#mergeSections(payload.sections, sections);
+    if (mergedSections.length) {
+      payload.sections = mergedSections;
+      payload.sections_url = payload.sections_url || sectionsUrl;
+    }
+
+    return { ...fetchConfig(), body: JSON.stringify(payload) };
+  }
+
+  static #mergeSections(existing, requested) {
+    const toList = (sections) => (typeof sections === 'string' ? sections.split(',') : sections || []);
+
+    return [...new Set([...toList(existing), ...toList(requested)].filter(Boolean))];
+  }
+}
@@ -0,0 +1,147 @@
+class CartDiscount extends HTMLElement {
+  static source = 'cart-discount';
+  static linkSource = 'cart-discount-link';
+
+  constructor() {
+    super();
+
+    this.form = this.querySelector('.cart-discount__form');
+    this.input = this.querySelector('input[name="discount"]');
+    this.applyButton = this.querySelector('.cart-discount__apply');
+    this.form.addEventListener('submit', this.onSubmit.bind(this));
+    this.input.addEventListener('input', () => this.hideError());
+    this.querySelectorAll('.cart-discount__remove').forEach((button) =>
+      button.addEventListener('click', () => this.remove(button.dataset.code))
+    );
+  }
+
+  get appliedCodes() {
+    return Array.from(this.querySelectorAll('.cart-discount__remove'), (button) => button.dataset.code);
+  }
+
+  get cartItems() {
+    return document.querySelector(this.dataset.target);
+  }
+
+  onSubmit(event) {
+    event.preventDefault();
+    if (this.applyButton.getAttribute('aria-disabled') === 'true') return;
+
+    const code = this.input.value.trim();
+    const appliedCodes = this.appliedCodes;
+    if (!code) {
+      this.showError(window.cartStrings.discountCodeRequired);
+      return;
+    }
+    if (appliedCodes.some((appliedCode) => CartDiscount.isSameCode(appliedCode, code))) {
+      this.showError(window.cartStrings.discountCodeAlreadyApplied);
+      return;
+    }
+
+    setButtonLoading(this.applyButton, true);
+    this.hideError();
+
+    this.updateCodes([...appliedCodes, code])
+      .then((state) => {
+        const discountCode = state.discount_codes?.find((discount) => CartDiscount.isSameCode(discount.code, code));
+        if (discountCode?.applicable) {
+          this.render(state, (cartDiscount) => {
+            cartDiscount.input.focus();
+            announce(cartDiscount.statusElement, window.cartStrings.discountCodeApplied.replace('[code]', code));
+          });
+          return;
+        }
+
+        // The cart keeps codes it can't apply, so take it back out rather than listing it as if it worked
+        return this.updateCodes(appliedCodes).then((revertedState) =>
+          this.render(revertedState, (cartDiscount) => {
+            cartDiscount.input.value = code;
+            cartDiscount.showError(window.cartStrings.discountCodeError.replace('[code]', code));
+            cartDiscount.input.focus();
+          })
+        );
+      })
+      .catch((error) => {
+        this.showError(error.message);
+      })
+      .finally(() => {
+        setButtonLoading(this.applyButton, false);
+      });
+  }
+
+  remove(code) {
+    this.hideError();
+
+    this.updateCodes(this.appliedCodes.filter((appliedCode) => appliedCode !== code))
+      .then((state) =>
+        this.render(state, (cartDiscount) => {
+          cartDiscount.input.focus();
+          announce(cartDiscount.statusElement, window.cartStrings.discountCodeRemoved.replace('[code]', code));
+        })
+      )
+      .catch((error) => {
+        this.showError(error.message);
+      });
+  }
+
+  updateCodes(codes) {
+    return CartClient.update(
+      { discount: codes.join(',') },
+      {
+        sections: this.cartItems?.getSectionsToRender().map((section) => section.section),
+        source: CartDiscount.source,
+      }
+    );
+  }
+
+  render(state, callback) {
+    this.cartItems?.renderSections(state);
+    callback(getRerenderedElement(this));
+  }
+
+  get statusElement() {
+    return this.querySelector('[role="status"]');
+  }
+
+  showError(message) {
+    setFormMessage(this.querySelector('.cart-discount__error'), message);
+    this.input.setAttribute('aria-invalid', true);
+    announce(this.statusElement, message);
+  }
+
+  hideError() {
+    setFormMessage(this.querySelector('.cart-discount__error'), null);
+    this.input.removeAttribute('aria-invalid');
+  }
+
+  // Codes shared as links (e.g. ?discount=WELCOME10) are added to the cart as soon as the shopper lands on the store
+  static applyFromUrl() {
+    const url = new URL(window.location.href);
+    const code = url.searchParams.get('discount')?.trim();
+    if (!code) return;
+
+    url.searchParams.delete('discount');
+    window.history.replaceState(window.history.state, '', url.toString());
+
+    CartClient.get()
+      .then((cart) => {
+        const appliedCodes = cart.discount_codes.map((discount) => discount.code);
+        if (appliedCodes.some((appliedCode) => CartDiscount.isSameCode(appliedCode, code))) return;
+
+        // Not applicable codes stay in the cart here: the link may arrive before the shopper added what qualifies.
+        // Published under its own source, so the cart drawer and the cart page both refresh from it
+        return CartClient.update({ discount: [...appliedCodes, code].join(',') }, { source: CartDiscount.linkSource });
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  static isSameCode(code, otherCode) {
+    return code.toLowerCase() === otherCode.toLowerCase();
+  }
+}
+
+customElements.define('cart-discount', CartDiscount);
+
+CartDiscount.applyFromUrl();
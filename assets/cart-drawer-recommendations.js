@@ -0,0 +1,197 @@
+if (!customElements.get('cart-drawer-recommendations')) {
+  customElements.define(
+    'cart-drawer-recommendations',
+    class CartDrawerRecommendations extends HTMLElement {
+      // Each cart drawer render replaces the rail, so recommendations are kept by cart products: a rail rendered for
+      // products already seen fills in before it's painted
+      static requests = new Map();
+      static results = new Map();
+
+      // Recommendations are based on the products most recently added to the cart
+      static seedCount = 3;
+
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.list = this.querySelector('.cart-drawer-recommendations__list');
+        this.template = this.querySelector('template');
+
+        this.load(this.productIds);
+
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+          // The cart drawer renders a new rail when it re-renders
+          if (!this.isConnected) return;
+
+          const cart = Array.isArray(event.cartData?.items) && event.cartData.token ? event.cartData : null;
+          (cart ? Promise.resolve(cart) : CartClient.get())
+            .then((cart) => {
+              const productIds = [...new Set(cart.items.map((item) => item.product_id))];
+              if (productIds.join(',') !== this.productIds.join(',')) this.load(productIds);
+            })
+            .catch((e) => {
+              console.error(e);
+            });
+        });
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+      }
+
+      get productIds() {
+        return this.dataset.productIds.split(',').filter(Boolean).map(Number);
+      }
+
+      load(productIds) {
+        this.dataset.productIds = productIds.join(',');
+        if (productIds.length === 0) {
+          this.render([]);
+          return;
+        }
+
+        const cacheKey = productIds.join(',');
+        if (CartDrawerRecommendations.results.has(cacheKey)) {
+          this.render(CartDrawerRecommendations.results.get(cacheKey));
+          return;
+        }
+
+        if (!CartDrawerRecommendations.requests.has(cacheKey)) {
+          CartDrawerRecommendations.requests.set(
+            cacheKey,
+            this.fetchRecommendations(productIds).then((products) => {
+              CartDrawerRecommendations.results.set(cacheKey, products);
+              return products;
+            })
+          );
+        }
+
+        CartDrawerRecommendations.requests
+          .get(cacheKey)
+          .then((products) => {
+            // The cart changed again while these were loading
+            if (this.dataset.productIds === cacheKey) this.render(products);
+          })
+          .catch((e) => {
+            CartDrawerRecommendations.requests.delete(cacheKey);
+            console.error(e);
+            this.render([]);
+          });
+      }
+
+      fetchRecommendations(productIds) {
+        const limit = parseInt(this.dataset.limit);
+        const seeds = productIds.slice(0, CartDrawerRecommendations.seedCount);
+
+        return Promise.all(
+          seeds.map((productId) =>
+            fetch(`${this.dataset.url}?product_id=${productId}&limit=${limit}&intent=related`)
+              .then((response) => (response.ok ? response.json() : { products: [] }))
+              .then((data) => data.products)
+          )
+        ).then((lists) => {
+          // Takes a product from each seed's list in turn, so one cart product doesn't fill the whole rail
+          const products = new Map();
+          for (let index = 0; index < limit; index++) {
+            lists.forEach((list) => {
+              const product = list[index];
+              if (!product || products.has(product.id) || productIds.includes(product.id)) return;
+
+              const variant = product.variants.find((variant) => variant.available);
+              if (variant) products.set(product.id, { product, variant });
+            });
+          }
+
+          return [...products.values()].slice(0, limit);
+        });
+      }
+
+      render(recommendations) {
+        if (recommendations.length === 0) {
+          this.hide();
+          return;
+        }
+
+        this.list.replaceChildren(
+          ...recommendations.map((recommendation, index) => this.renderItem(recommendation, index))
+        );
+        this.hidden = false;
+      }
+
+      renderItem({ product, variant }, index) {
+        const element = this.template.content.firstElementChild.cloneNode(true);
+        const titleId = `CartDrawer-Recommendation-${index}`;
+        const title = element.querySelector('.cart-drawer-recommendations__title');
+        title.id = titleId;
+        title.href = product.url;
+        title.textContent = product.title;
+
+        const image = element.querySelector('.cart-drawer-recommendations__image');
+        const imageUrl = variant.featured_image?.src || product.featured_image;
+        if (imageUrl) {
+          image.src = `${imageUrl}${imageUrl.includes('?') ? '&' : '?'}width=120`;
+        } else {
+          image.parentElement.remove();
+        }
+
+        element.querySelector('.cart-drawer-recommendations__price').textContent = formatMoney(variant.price);
+
+        const addButton = element.querySelector('.cart-drawer-recommendations__add');
+        addButton.setAttribute('aria-describedby', titleId);
+        addButton.addEventListener('click', () => this.addToCart(product, variant, addButton));
+
+        return element;
+      }
+
+      // Collapsing the rail while the drawer slides in would move everything under it, so it waits for the drawer
+      hide() {
+        const drawerInner = this.closest('.drawer__inner');
+        const animations = drawerInner?.getAnimations ? drawerInner.getAnimations() : [];
+
+        Promise.all(animations.map((animation) => animation.finished))
+          .catch(() => {})
+          .then(() => {
+            this.hidden = true;
+          });
+      }
+
+      addToCart(product, variant, addButton) {
+        if (addButton.getAttribute('aria-disabled') === 'true') return;
+
+        const cartItems = document.querySelector('cart-drawer-items');
+        const errorElement = this.querySelector('.cart-drawer-recommendations__error');
+        setFormMessage(errorElement, null);
+        setButtonLoading(addButton, true);
+
+        CartClient.add(
+          { items: [{ id: variant.id, quantity: 1 }] },
+          {
+            sections: cartItems.getSectionsToRender().map((section) => section.section),
+            source: 'cart-items',
+            eventData: { productVariantId: variant.id },
+          }
+        )
+          .then((state) => {
+            cartItems.renderSections(state);
+
+            const recommendations = document.querySelector('cart-drawer-recommendations') || this;
+            announce(
+              recommendations.querySelector('[role="status"]'),
+              window.cartStrings.recommendationAdded.replace('[title]', product.title)
+            );
+
+            const cartDrawer = document.querySelector('cart-drawer');
+            const lineItem = cartDrawer.querySelector('.cart-item__name');
+            if (lineItem) trapFocus(cartDrawer, lineItem);
+          })
+          .catch((error) => {
+            if (!error.status) console.error(error);
+
+            setFormMessage(errorElement, error.message);
+            setButtonLoading(addButton, false);
+          });
+      }
+    }
+  );
+}
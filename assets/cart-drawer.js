@@ -131,6 +131,10 @@ class CartDrawerItems extends CartItems {
       },
     ];
   }
+
+  getTotalElement() {
+    return document.querySelector('cart-drawer .totals__total-value');
+  }
 }
 
 customElements.define('cart-drawer-items', CartDrawerItems);
@@ -5,11 +5,21 @@ class CartNotification extends HTMLElement {
     this.notification = document.getElementById('cart-notification');
     this.header = document.querySelector('sticky-header');
     this.onBodyClick = this.handleBodyClick.bind(this);
+    this.addedLines = new Map();
 
     this.notification.addEventListener('keyup', (evt) => evt.code === 'Escape' && this.close());
     this.querySelectorAll('button[type="button"]').forEach((closeButton) =>
       closeButton.addEventListener('click', this.close.bind(this))
     );
+
+    // Hold the automatic close while the shopper points at or uses the notification
+    this.notification.addEventListener('mouseenter', this.clearDismissTimer.bind(this));
+    this.notification.addEventListener('keydown', this.clearDismissTimer.bind(this));
+    this.notification.addEventListener('mouseleave', this.startDismissTimer.bind(this));
+    this.notification.addEventListener('keyup', this.startDismissTimer.bind(this));
+    this.notification.addEventListener('focusin', () => this.hasFocusWithin() && this.clearDismissTimer());
+    // Focus is still on its way to the next element during focusout, so where it landed is checked afterwards
+    this.notification.addEventListener('focusout', () => setTimeout(this.startDismissTimer.bind(this)));
   }
 
   open() {
@@ -25,33 +35,117 @@ class CartNotification extends HTMLElement {
     );
 
     document.body.addEventListener('click', this.onBodyClick);
+    this.startDismissTimer();
   }
 
   close() {
+    this.clearDismissTimer();
+    this.addedLines.clear();
     this.notification.classList.remove('active');
     document.body.removeEventListener('click', this.onBodyClick);
 
     removeTrapFocus(this.activeElement);
   }
 
-  renderContents(parsedState) {
-    this.cartItemKey = parsedState.key;
+  // Lines added while the notification is open join the ones already listed, so bulk, bundle and repeated adds
+  // show up as one group instead of replacing each other. The response has each line's quantity in the whole cart, so
+  // the submitted quantities are passed along as `addedQuantities`, in the order of the response's items. A line
+  // submitted without a quantity is added once
+  renderContents(parsedState, addedQuantities = []) {
+    const isOpen = this.notification.classList.contains('active');
+    if (!isOpen) this.addedLines.clear();
+
+    const items = parsedState.items || [parsedState];
+    items.forEach((item, index) => {
+      const added = addedQuantities[index] || 1;
+      const quantity = (this.addedLines.get(item.key)?.quantity || 0) + added;
+      // Re-inserted so the latest add is listed first
+      this.addedLines.delete(item.key);
+      this.addedLines.set(item.key, { quantity, finalPrice: item.final_price });
+    });
+
     this.getSectionsToRender().forEach((section) => {
+      if (section.id === 'cart-notification-product') {
+        this.renderProducts(parsedState.sections[section.id]);
+        return;
+      }
+
       document.getElementById(section.id).innerHTML = this.getSectionInnerHTML(
         parsedState.sections[section.id],
         section.selector
       );
     });
+    const heading = this.renderSummary();
 
     if (this.header) this.header.reveal();
-    this.open();
+    if (isOpen) {
+      announce(this.notification.querySelector('[role="status"]'), heading);
+      this.startDismissTimer();
+    } else {
+      this.open();
+    }
+  }
+
+  renderProducts(html) {
+    const sectionContent = new DOMParser().parseFromString(html, 'text/html');
+    const products = Array.from(this.addedLines)
+      .reverse()
+      .map(([key, { quantity }]) => {
+        const product = sectionContent.querySelector(`[id="cart-notification-product-${key}"]`);
+        if (!product) return null;
+
+        product.removeAttribute('id');
+        product.classList.add('cart-notification-product__item');
+        const quantityElement = document.createElement('p');
+        quantityElement.className = 'product-option';
+        quantityElement.textContent = this.dataset.quantityAdded.replace('[quantity]', quantity);
+        product.lastElementChild.append(quantityElement);
+
+        return product;
+      })
+      .filter(Boolean);
+
+    document.getElementById('cart-notification-product').replaceChildren(...products);
+  }
+
+  renderSummary() {
+    const lines = Array.from(this.addedLines.values());
+    const quantity = lines.reduce((total, line) => total + line.quantity, 0);
+    const subtotal = lines.reduce((total, line) => total + line.quantity * line.finalPrice, 0);
+    const heading = quantity > 1 ? this.dataset.itemsAdded.replace('[quantity]', quantity) : this.dataset.itemAdded;
+
+    this.querySelector('.cart-notification__heading-text').textContent = heading;
+    this.notification.setAttribute('aria-label', heading);
+
+    const subtotalElement = this.querySelector('.cart-notification__subtotal');
+    subtotalElement.querySelector('.cart-notification__subtotal-value').textContent = formatMoney(subtotal);
+    subtotalElement.hidden = quantity < 2;
+
+    return heading;
+  }
+
+  startDismissTimer() {
+    const duration = parseInt(this.dataset.autoDismiss);
+    if (!duration || !this.notification.classList.contains('active') || this.hasFocusWithin()) return;
+
+    this.clearDismissTimer();
+    this.dismissTimer = setTimeout(this.close.bind(this), duration);
+  }
+
+  clearDismissTimer() {
+    clearTimeout(this.dismissTimer);
+  }
+
+  // The notification itself is focused when it opens, so only focus on one of its controls holds the timer
+  hasFocusWithin() {
+    const activeElement = document.activeElement;
+    return activeElement !== this.notification && this.notification.contains(activeElement);
   }
 
   getSectionsToRender() {
     return [
       {
         id: 'cart-notification-product',
-        selector: `[id="cart-notification-product-${this.cartItemKey}"]`,
       },
       {
         id: 'cart-notification-button',
@@ -0,0 +1,66 @@
+if (!customElements.get('cart-order-minimum')) {
+  customElements.define(
+    'cart-order-minimum',
+    class CartOrderMinimum extends HTMLElement {
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.message = this.querySelector('.cart-order-minimum__message');
+        this.minimumTotal = toPresentmentCurrency(parseInt(this.dataset.minimumTotal));
+        this.minimumUnits = parseInt(this.dataset.minimumUnits);
+
+        this.update({ total_price: parseInt(this.dataset.totalPrice), item_count: parseInt(this.dataset.itemCount) });
+
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+          if (typeof event.cartData?.total_price === 'number' && typeof event.cartData?.item_count === 'number') {
+            this.update(event.cartData);
+            return;
+          }
+
+          // add responses only carry the added line
+          CartClient.get()
+            .then((cart) => this.update(cart))
+            .catch((e) => {
+              console.error(e);
+            });
+        });
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+      }
+
+      update(cart) {
+        const missingTotal = Math.max(this.minimumTotal - cart.total_price, 0);
+        const missingUnits = Math.max(this.minimumUnits - cart.item_count, 0);
+        const messages = [];
+
+        if (missingTotal > 0) {
+          messages.push(
+            window.cartStrings.minimumOrderValue
+              .replace('[amount]', formatMoney(missingTotal))
+              .replace('[minimum]', formatMoney(this.minimumTotal))
+          );
+        }
+        if (missingUnits > 0) {
+          messages.push(
+            window.cartStrings.minimumOrderUnits
+              .replace('[count]', missingUnits)
+              .replace('[minimum]', this.minimumUnits)
+          );
+        }
+
+        const text = messages.join(' ');
+        const textElement = this.message.querySelector('.cart-order-minimum__text');
+        if (textElement.textContent !== text) textElement.textContent = text;
+        this.message.hidden = messages.length === 0;
+
+        if (this.dataset.checkoutButtons) {
+          setCheckoutBlocked(this.dataset.checkoutButtons, 'order-minimum', messages.length > 0, this.message.id);
+        }
+      }
+    }
+  );
+}
@@ -0,0 +1,185 @@
+class CartShare {
+  static source = 'cart-share';
+  static param = 'shared_cart';
+
+  // Links carry the cart as URL safe base64 of the UTF-8 JSON
+  static encode(sharedCart) {
+    const bytes = new TextEncoder().encode(JSON.stringify(sharedCart));
+    const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_');
+  }
+
+  static decode(value) {
+    try {
+      const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+      const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+      const { items, attributes } = JSON.parse(new TextDecoder().decode(bytes));
+
+      const lines = items
+        .filter(([id, quantity]) => Number.isInteger(id) && Number.isInteger(quantity) && quantity > 0)
+        .map(([id, quantity, properties, sellingPlan]) => ({
+          id,
+          quantity,
+          ...(properties && Object.keys(properties).length > 0 && { properties }),
+          ...(sellingPlan && { selling_plan: sellingPlan }),
+        }));
+
+      // Links shared before these were left out of them may still carry them
+      return lines.length > 0 ? { lines, attributes: CartShare.getSharedAttributes(attributes || {}) } : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // What the shopper filled in on their way to checkout is never taken over from someone else's cart. The attribute
+  // names come from the features saving them, whose scripts have run once the document is loaded
+  static getSharedAttributes(attributes) {
+    const checkoutAttributes = [
+      customElements.get('terms-agreement')?.attribute,
+      customElements.get('gift-wrap')?.attribute,
+      ...Object.values(customElements.get('delivery-date-picker')?.attributes || {}),
+    ];
+
+    return Object.fromEntries(Object.entries(attributes).filter(([key]) => !checkoutAttributes.includes(key)));
+  }
+
+  static restoreFromUrl() {
+    const url = new URL(window.location.href);
+    const value = url.searchParams.get(CartShare.param);
+    if (!value) return;
+
+    url.searchParams.delete(CartShare.param);
+    window.history.replaceState(window.history.state, '', url.toString());
+
+    const sharedCart = CartShare.decode(value);
+    if (!sharedCart) return;
+
+    CartClient.get()
+      .then((cart) => {
+        if (cart.item_count > 0) return CartShare.showDialog(sharedCart, cart);
+
+        // There's nothing to merge with, so the dialog only opens to explain why the cart couldn't be restored
+        return CartShare.restore(sharedCart, cart, false).catch((error) => {
+          CartShare.showDialog(sharedCart, cart, error);
+        });
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  static get modal() {
+    return document.getElementById('CartShareModal');
+  }
+
+  static showDialog(sharedCart, cart, error = null) {
+    const modal = CartShare.modal;
+    if (!modal) return;
+
+    modal.querySelector('.cart-share-modal__text').hidden = Boolean(error);
+    error ? CartShare.showError(error) : CartShare.hideError();
+
+    modal.querySelectorAll('[data-replace]').forEach((button) => {
+      button.hidden = Boolean(error);
+      button.onclick = () => {
+        if (button.getAttribute('aria-disabled') === 'true') return;
+
+        CartShare.setLoading(button, true);
+        CartShare.hideError();
+        CartShare.restore(sharedCart, cart, button.dataset.replace === 'true')
+          .then(() => modal.hide())
+          .catch((error) => CartShare.showError(error))
+          .finally(() => CartShare.setLoading(button, false));
+      };
+    });
+    modal.querySelector('.cart-share-modal__cancel').onclick = () => modal.hide();
+
+    modal.show();
+  }
+
+  /**
+   * The shared lines are added before the visitor's lines are taken out when replacing, so a failed add leaves their
+   * cart as it was. Lines the shared cart has too are merged by the add, and only brought back to the shared quantity.
+   */
+  static restore({ lines, attributes }, cart, replace) {
+    const cartDrawer = document.querySelector('cart-drawer');
+    const options = {
+      sections: cartDrawer?.getSectionsToRender().map((section) => section.id),
+      source: CartShare.source,
+    };
+    // Attributes of the visitor's cart win over the shared ones when merging
+    const newAttributes = replace
+      ? attributes
+      : Object.fromEntries(Object.entries(attributes).filter(([key]) => !cart.attributes[key]));
+    const hasNewAttributes = Object.keys(newAttributes).length > 0;
+
+    return CartClient.add({ items: lines }, replace || hasNewAttributes ? { silent: true } : options)
+      .then((state) => {
+        if (!replace && !hasNewAttributes) return state;
+
+        const body = hasNewAttributes ? { attributes: newAttributes } : {};
+        if (replace) {
+          body.updates = Object.fromEntries(
+            cart.items.map((item) => {
+              const addedItem = state.items.find((added) => added.key === item.key);
+              return [item.key, addedItem ? addedItem.quantity - item.quantity : 0];
+            })
+          );
+        }
+
+        return CartClient.update(body, options);
+      })
+      .then((state) => {
+        if (cartDrawer) {
+          cartDrawer.classList.remove('is-empty');
+          cartDrawer.renderContents(state);
+        } else if (!document.querySelector('cart-items')) {
+          window.location = routes.cart_url;
+        }
+      });
+  }
+
+  // The other choice is held back too, so the shared cart can't be restored twice
+  static setLoading(button, loading) {
+    setButtonLoading(button, loading);
+    CartShare.modal.querySelectorAll('[data-replace]').forEach((choice) => {
+      if (choice === button) return;
+      loading ? choice.setAttribute('aria-disabled', true) : choice.removeAttribute('aria-disabled');
+    });
+  }
+
+  static showError(error) {
+    if (!error.status) console.error(error);
+
+    setFormMessage(CartShare.modal.querySelector('.cart-share-modal__error'), error.message);
+  }
+
+  static hideError() {
+    setFormMessage(CartShare.modal.querySelector('.cart-share-modal__error'), null);
+  }
+}
+
+// Builds the link of the cart's "Share cart" action, each time the cart renders it
+class CartShareLink extends HTMLElement {
+  connectedCallback() {
+    const { items, attributes } = JSON.parse(this.dataset.sharedCart);
+    const url = new URL(routes.root_url, window.location.origin);
+    url.searchParams.set(
+      CartShare.param,
+      CartShare.encode({ items, attributes: CartShare.getSharedAttributes(attributes) })
+    );
+
+    // The share button reads its link when it's set up, which happens before or after this depending on load order
+    const shareButton = this.querySelector('share-button');
+    typeof shareButton.updateUrl === 'function'
+      ? shareButton.updateUrl(url.toString())
+      : (shareButton.querySelector('input').value = url.toString());
+  }
+}
+
+// Both need the attribute names of the cart features, whose scripts load after this one
+document.addEventListener('DOMContentLoaded', () => {
+  customElements.define('cart-share-link', CartShareLink);
+  CartShare.restoreFromUrl();
+});
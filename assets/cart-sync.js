@@ -0,0 +1,70 @@
+class CartSync {
+  static source = 'cart-sync';
+  static #channel = null;
+  static #lastSignature = null;
+
+  static init() {
+    if ('BroadcastChannel' in window) {
+      CartSync.#channel = new BroadcastChannel(`cart:${window.Shopify?.shop || window.location.host}`);
+      CartSync.#channel.addEventListener('message', ({ data }) => {
+        if (data?.type === PUB_SUB_EVENTS.cartUpdate) CartSync.refresh();
+      });
+    }
+
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      if (event.source === CartSync.source) return;
+
+      // add responses only carry the added line, so the next check has to compare against a fresh cart
+      CartSync.#lastSignature = event.cartData?.items ? CartSync.#getSignature(event.cartData) : null;
+      CartSync.#channel?.postMessage({ type: PUB_SUB_EVENTS.cartUpdate });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') CartSync.refresh();
+    });
+  }
+
+  // Reads the cart and, if it changed since this tab last saw it, replays a cartUpdate so components re-render through their usual subscribers
+  static refresh() {
+    return CartClient.get()
+      .then((cart) => {
+        const signature = CartSync.#getSignature(cart);
+        if (signature === CartSync.#lastSignature) return;
+
+        CartSync.#lastSignature = signature;
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: CartSync.source, cartData: cart });
+        CartSync.#renderCartIconBubble();
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  static #renderCartIconBubble() {
+    const cartIconBubble = document.getElementById('cart-icon-bubble');
+    if (!cartIconBubble) return;
+
+    fetch(`${routes.cart_url}?sections=cart-icon-bubble`)
+      .then((response) => response.json())
+      .then((sections) => {
+        cartIconBubble.innerHTML = new DOMParser()
+          .parseFromString(sections['cart-icon-bubble'], 'text/html')
+          .querySelector('.shopify-section').innerHTML;
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  static #getSignature(cart) {
+    return JSON.stringify([
+      cart.token,
+      cart.total_price,
+      cart.items.map(({ key, quantity }) => [key, quantity]),
+      cart.attributes,
+      cart.discount_codes,
+    ]);
+  }
+}
+
+CartSync.init();
@@ -26,10 +26,14 @@ class CartItems extends HTMLElement {
   }
 
   cartUpdateUnsubscriber = undefined;
+  lastRequestId = 0;
+  confirmedSnapshot = null;
+  lastConfirmedState = null;
 
   connectedCallback() {
     this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
-      if (event.source === 'cart-items') {
+      // These sources render the cart sections from their own response
+      if (['cart-items', 'cart-discount'].includes(event.source)) {
         return;
       }
       this.onCartUpdate();
@@ -111,6 +115,24 @@ class CartItems extends HTMLElement {
           const html = new DOMParser().parseFromString(responseText, 'text/html');
           const sourceQty = html.querySelector('cart-items');
           this.innerHTML = sourceQty.innerHTML;
+          this.classList.toggle('is-empty', sourceQty.classList.contains('is-empty'));
+        })
+        .catch((e) => {
+          console.error(e);
+        });
+
+      const cartFooter = document.getElementById('main-cart-footer');
+      if (!cartFooter) return;
+
+      fetch(`${routes.cart_url}?section_id=${cartFooter.dataset.id}`)
+        .then((response) => response.text())
+        .then((responseText) => {
+          const html = new DOMParser().parseFromString(responseText, 'text/html');
+          const sourceFooter = html.getElementById('main-cart-footer');
+          const sourceTotals = sourceFooter?.querySelector('.js-contents');
+          const targetTotals = cartFooter.querySelector('.js-contents');
+          if (sourceTotals && targetTotals) targetTotals.innerHTML = sourceTotals.innerHTML;
+          if (sourceFooter) cartFooter.classList.toggle('is-empty', sourceFooter.classList.contains('is-empty'));
         })
         .catch((e) => {
           console.error(e);
@@ -144,46 +166,36 @@ class CartItems extends HTMLElement {
   }
 
   updateQuantity(line, quantity, name, variantId) {
-    this.enableLoading(line);
+    const requestId = ++this.lastRequestId;
+    const removedLine = quantity === 0 ? this.getLineData(line) : null;
+    const isOptimistic = quantity > 0 && this.renderOptimisticQuantity(line, quantity);
+    if (!isOptimistic) this.enableLoading(line);
 
-    const body = JSON.stringify({
-      line,
-      quantity,
-      sections: this.getSectionsToRender().map((section) => section.section),
-      sections_url: window.location.pathname,
-    });
+    CartClient.change(
+      { line, quantity },
+      {
+        sections: this.getSectionsToRender().map((section) => section.section),
+        source: 'cart-items',
+        eventData: { variantId },
+      }
+    )
+      .then((parsedState) => {
+        // A newer change is queued behind this one: keep the optimistic values on screen until it settles
+        if (requestId !== this.lastRequestId) {
+          this.lastConfirmedState = parsedState;
+          return;
+        }
+
+        this.confirmedSnapshot = null;
+        this.lastConfirmedState = null;
 
-    fetch(`${routes.cart_change_url}`, { ...fetchConfig(), ...{ body } })
-      .then((response) => {
-        return response.text();
-      })
-      .then((state) => {
-        const parsedState = JSON.parse(state);
         const quantityElement =
           document.getElementById(`Quantity-${line}`) || document.getElementById(`Drawer-quantity-${line}`);
         const items = document.querySelectorAll('.cart-item');
 
-        if (parsedState.errors) {
-          quantityElement.value = quantityElement.getAttribute('value');
-          this.updateLiveRegions(line, parsedState.errors);
-          return;
-        }
+        this.renderSections(parsedState);
+        if (removedLine) this.undoToast?.show(removedLine);
 
-        this.classList.toggle('is-empty', parsedState.item_count === 0);
-        const cartDrawerWrapper = document.querySelector('cart-drawer');
-        const cartFooter = document.getElementById('main-cart-footer');
-
-        if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
-        if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
-
-        this.getSectionsToRender().forEach((section) => {
-          const elementToReplace =
-            document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
-          elementToReplace.innerHTML = this.getSectionInnerHTML(
-            parsedState.sections[section.section],
-            section.selector
-          );
-        });
         const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
         let message = '';
         if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
@@ -195,6 +207,7 @@ class CartItems extends HTMLElement {
         }
         this.updateLiveRegions(line, message);
 
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
         const lineItem =
           document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
         if (lineItem && lineItem.querySelector(`[name="${name}"]`)) {
@@ -206,19 +219,259 @@ class CartItems extends HTMLElement {
         } else if (document.querySelector('.cart-item') && cartDrawerWrapper) {
           trapFocus(cartDrawerWrapper, document.querySelector('.cart-item__name'));
         }
-
-        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState, variantId: variantId });
       })
-      .catch(() => {
+      .catch((error) => {
+        if (requestId !== this.lastRequestId) return;
+
+        this.rollbackOptimisticUpdate();
+
+        if (error.status) {
+          this.updateLiveRegions(line, error.message);
+          return;
+        }
+
         this.querySelectorAll('.loading__spinner').forEach((overlay) => overlay.classList.add('hidden'));
         const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
         errors.textContent = window.cartStrings.error;
       })
+      .finally(() => {
+        if (!isOptimistic) this.disableLoading(line);
+      });
+  }
+
+  renderSections(parsedState) {
+    this.classList.toggle('is-empty', parsedState.item_count === 0);
+    const cartDrawerWrapper = document.querySelector('cart-drawer');
+    const cartFooter = document.getElementById('main-cart-footer');
+
+    if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
+    if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+      elementToReplace.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.section], section.selector);
+    });
+  }
+
+  /**
+   * Updates the line total, the subtotal and the cart bubble from the prices rendered on the line, before the server confirms the change.
+   * The confirmed markup is kept aside so it can be restored if the change is rejected.
+   * Returns false when the line doesn't carry its price data, so the caller can fall back to the blocking loading state.
+   */
+  renderOptimisticQuantity(line, quantity) {
+    const lineItem = this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`);
+    const totalElement = this.getTotalElement();
+    const countBubble = document.querySelector('#cart-icon-bubble .cart-count-bubble');
+    if (!lineItem || !lineItem.dataset.finalPrice || !totalElement) return false;
+
+    if (!this.confirmedSnapshot) {
+      this.confirmedSnapshot = [
+        ...this.querySelectorAll('.cart-item__price-wrapper'),
+        totalElement,
+        ...(countBubble ? [countBubble] : []),
+      ].map((element) => ({ element, html: element.innerHTML }));
+    }
+
+    lineItem.dataset.pendingQuantity = quantity;
+    lineItem.querySelectorAll('.cart-item__price-wrapper .price:not(.cart-item__old-price)').forEach((price) => {
+      price.textContent = formatMoney(lineItem.dataset.finalPrice * quantity);
+    });
+    lineItem.querySelectorAll('.cart-item__old-price').forEach((price) => {
+      price.textContent = formatMoney(lineItem.dataset.originalPrice * quantity);
+    });
+
+    let totalPrice = parseInt(totalElement.dataset.totalPrice);
+    let itemCount = countBubble ? parseInt(countBubble.dataset.itemCount) : 0;
+    this.querySelectorAll('.cart-item[data-pending-quantity]').forEach((item) => {
+      const confirmedQuantity = parseInt(item.querySelector('.quantity__input').getAttribute('value'));
+      const difference = parseInt(item.dataset.pendingQuantity) - confirmedQuantity;
+      totalPrice += difference * parseInt(item.dataset.finalPrice);
+      itemCount += difference;
+    });
+
+    totalElement.textContent = formatMoney(totalPrice, true);
+    const visibleCount = countBubble?.querySelector('[aria-hidden="true"]');
+    if (visibleCount && itemCount < 100) visibleCount.textContent = itemCount;
+
+    return true;
+  }
+
+  rollbackOptimisticUpdate() {
+    if (this.lastConfirmedState) {
+      this.renderSections(this.lastConfirmedState);
+    } else {
+      this.confirmedSnapshot?.forEach(({ element, html }) => (element.innerHTML = html));
+      this.querySelectorAll('.cart-item[data-pending-quantity]').forEach((item) => {
+        delete item.dataset.pendingQuantity;
+      });
+      this.querySelectorAll('.quantity__input').forEach((input) => (input.value = input.getAttribute('value')));
+    }
+
+    this.confirmedSnapshot = null;
+    this.lastConfirmedState = null;
+  }
+
+  getTotalElement() {
+    return document.querySelector('#main-cart-footer .totals__total-value');
+  }
+
+  // Everything needed to add a line back exactly as it was: variant, quantity, properties and selling plan
+  getLineData(line) {
+    const lineItem = this.querySelector(`#CartItem-${line}, #CartDrawer-Item-${line}`);
+    if (!lineItem || !lineItem.dataset.variantId) return null;
+
+    return {
+      line: parseInt(line),
+      key: lineItem.dataset.key,
+      id: parseInt(lineItem.dataset.variantId),
+      quantity: parseInt(lineItem.querySelector('.quantity__input').getAttribute('value')),
+      properties: JSON.parse(lineItem.dataset.properties || '{}'),
+      sellingPlanId: lineItem.dataset.sellingPlanId ? parseInt(lineItem.dataset.sellingPlanId) : null,
+      title: lineItem.dataset.title,
+    };
+  }
+
+  // The cart API can't change the variant of a line: the new variant is added first and the line removed once that succeeded,
+  // so a variant that can't be added leaves the cart untouched
+  swapVariant(line, variantId, optionIndex) {
+    const lineData = this.getLineData(line);
+    if (!lineData) return;
+
+    const item = { id: variantId, quantity: lineData.quantity, properties: lineData.properties };
+    if (lineData.sellingPlanId) item.selling_plan = lineData.sellingPlanId;
+
+    this.enableLoading(line);
+
+    CartClient.add({ items: [item] }, { source: 'cart-items', silent: true })
+      .then(() =>
+        CartClient.change(
+          { id: lineData.key, quantity: 0 },
+          {
+            sections: this.getSectionsToRender().map((section) => section.section),
+            source: 'cart-items',
+            eventData: { variantId },
+          }
+        )
+      )
+      .then((parsedState) => {
+        this.renderSections(parsedState);
+
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        const option = this.querySelectorAll(`.cart-item[data-variant-id="${variantId}"] .cart-variant-picker__option`)[
+          optionIndex
+        ];
+        const control = option?.querySelector('select, input:checked');
+        if (!control) return;
+        cartDrawerWrapper ? trapFocus(cartDrawerWrapper, control) : control.focus();
+      })
+      .catch((error) => {
+        if (!error.status) console.error(error);
+        this.updateLiveRegions(line, error.message);
+        // The new variant may already be in the cart if only the removal failed
+        this.onCartUpdate();
+      })
       .finally(() => {
         this.disableLoading(line);
       });
   }
 
+  // The line keeps its quantity. Errors are left to the caller, which shows them next to the fields
+  updateProperties(line, properties) {
+    const lineData = this.getLineData(line);
+    if (!lineData) return Promise.resolve();
+
+    this.enableLoading(line);
+
+    return CartClient.change(
+      { id: lineData.key, quantity: lineData.quantity, properties },
+      {
+        sections: this.getSectionsToRender().map((section) => section.section),
+        source: 'cart-items',
+        eventData: { variantId: lineData.id },
+      }
+    )
+      .then((parsedState) => {
+        this.renderSections(parsedState);
+        this.updateLiveRegions(line, '');
+
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        const toggle = this.querySelector(
+          `#CartItem-${line} .cart-item-properties__toggle, #CartDrawer-Item-${line} .cart-item-properties__toggle`
+        );
+        if (!toggle) return;
+        cartDrawerWrapper ? trapFocus(cartDrawerWrapper, toggle) : toggle.focus();
+      })
+      .finally(() => {
+        this.disableLoading(line);
+      });
+  }
+
+  // The line keeps its quantity and properties. Errors are left to the caller, which resets the picker
+  updateSellingPlan(line, sellingPlanId) {
+    const lineData = this.getLineData(line);
+    if (!lineData) return Promise.resolve();
+
+    this.enableLoading(line);
+
+    return CartClient.change(
+      { id: lineData.key, quantity: lineData.quantity, selling_plan: sellingPlanId },
+      {
+        sections: this.getSectionsToRender().map((section) => section.section),
+        source: 'cart-items',
+        eventData: { variantId: lineData.id },
+      }
+    )
+      .then((parsedState) => {
+        this.renderSections(parsedState);
+        this.updateLiveRegions(line, '');
+
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        const select = this.querySelector(
+          `#CartItem-${line} cart-selling-plan-picker select, #CartDrawer-Item-${line} cart-selling-plan-picker select`
+        );
+        if (!select) return;
+        cartDrawerWrapper ? trapFocus(cartDrawerWrapper, select) : select.focus();
+      })
+      .finally(() => {
+        this.disableLoading(line);
+      });
+  }
+
+  // Lines are identified by key, as fixing several of them at once shifts the line numbers of the ones after a removal
+  resolveInventoryConflicts(updates, line = null) {
+    if (line) this.enableLoading(line);
+
+    return CartClient.update(
+      { updates },
+      {
+        sections: this.getSectionsToRender().map((section) => section.section),
+        source: 'cart-items',
+      }
+    )
+      .then((parsedState) => {
+        this.renderSections(parsedState);
+        if (line) this.updateLiveRegions(line, '');
+
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        const itemName =
+          this.querySelector(`#CartItem-${line} .cart-item__name, #CartDrawer-Item-${line} .cart-item__name`) ||
+          this.querySelector('.cart-item__name');
+        if (itemName) {
+          cartDrawerWrapper ? trapFocus(cartDrawerWrapper, itemName) : itemName.focus();
+        } else if (cartDrawerWrapper) {
+          trapFocus(cartDrawerWrapper.querySelector('.drawer__inner-empty'), cartDrawerWrapper.querySelector('a'));
+        }
+      })
+      .finally(() => {
+        if (line) this.disableLoading(line);
+      });
+  }
+
+  get undoToast() {
+    return document.querySelector(`cart-undo-toast[data-target="${this.tagName.toLowerCase()}"]`);
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
@@ -266,6 +519,370 @@ class CartItems extends HTMLElement {
 
 customElements.define('cart-items', CartItems);
 
+class CartUndoToast extends HTMLElement {
+  constructor() {
+    super();
+
+    this.message = this.querySelector('.cart-undo-toast__message');
+    this.statusElement = this.querySelector('[role="status"]');
+    this.undoButton = this.querySelector('.cart-undo-toast__button');
+    this.undoButton.addEventListener('click', this.undo.bind(this));
+
+    // Keep the toast around while the shopper is reaching for it
+    this.addEventListener('mouseenter', this.clearHideTimer.bind(this));
+    this.addEventListener('focusin', this.clearHideTimer.bind(this));
+    this.addEventListener('mouseleave', this.startHideTimer.bind(this));
+    this.addEventListener('focusout', this.startHideTimer.bind(this));
+    this.addEventListener('keyup', (event) => event.code === 'Escape' && this.hide());
+  }
+
+  show(removedLine) {
+    this.removedLine = removedLine;
+    this.message.textContent = window.cartStrings.lineRemoved.replace('[title]', removedLine.title);
+    this.hidden = false;
+    announce(this.statusElement, this.message.textContent);
+    this.startHideTimer();
+  }
+
+  hide() {
+    this.clearHideTimer();
+    this.hidden = true;
+    this.removedLine = null;
+  }
+
+  startHideTimer() {
+    if (this.hidden || this.contains(document.activeElement)) return;
+
+    this.clearHideTimer();
+    this.hideTimer = setTimeout(this.hide.bind(this), CART_UNDO_TIMEOUT);
+  }
+
+  clearHideTimer() {
+    clearTimeout(this.hideTimer);
+  }
+
+  /**
+   * Adds the removed line back with its original quantity, properties and selling plan.
+   * The cart API has no way to reorder lines, so the line only lands in its old spot when Shopify inserts it there (e.g. it was the first line).
+   */
+  undo() {
+    const cartItems = document.querySelector(this.dataset.target);
+    if (!this.removedLine || !cartItems || this.undoButton.getAttribute('aria-disabled') === 'true') return;
+
+    const { id, quantity, properties, sellingPlanId, title } = this.removedLine;
+    const item = { id, quantity, properties };
+    if (sellingPlanId) item.selling_plan = sellingPlanId;
+
+    setButtonLoading(this.undoButton, true);
+
+    CartClient.add(
+      { items: [item] },
+      {
+        sections: cartItems.getSectionsToRender().map((section) => section.section),
+        source: 'cart-items',
+        eventData: { variantId: id },
+      }
+    )
+      .then((parsedState) => {
+        cartItems.renderSections(parsedState);
+        this.hide();
+        announce(this.statusElement, window.cartStrings.lineRestored.replace('[title]', title));
+
+        const cartDrawerWrapper = document.querySelector('cart-drawer');
+        const restoredLine = document.querySelector(
+          `${this.dataset.target} .cart-item[data-variant-id="${id}"] .cart-item__name`
+        );
+        if (!restoredLine) return;
+        cartDrawerWrapper ? trapFocus(cartDrawerWrapper, restoredLine) : restoredLine.focus();
+      })
+      .catch((error) => {
+        this.message.textContent = error.message;
+        announce(this.statusElement, error.message);
+      })
+      .finally(() => {
+        setButtonLoading(this.undoButton, false);
+      });
+  }
+}
+
+customElements.define('cart-undo-toast', CartUndoToast);
+
+class CartVariantPicker extends HTMLElement {
+  constructor() {
+    super();
+
+    this.variants = JSON.parse(this.querySelector('script[type="application/json"]').textContent);
+    this.addEventListener('change', this.onChange.bind(this));
+  }
+
+  onChange(event) {
+    // The cart items element reads every change as a quantity update
+    event.stopPropagation();
+
+    const options = Array.from(this.querySelectorAll('.cart-variant-picker__option'));
+    const selectedOptions = options.map((option) => option.querySelector('select, input:checked')?.value);
+    const variant = this.variants.find((variant) =>
+      variant.options.every((value, index) => value === selectedOptions[index])
+    );
+    const cartItems = this.closest('cart-items, cart-drawer-items');
+
+    if (!variant?.available) {
+      this.reset();
+      cartItems.updateLiveRegions(this.dataset.index, window.cartStrings.variantUnavailable);
+      return;
+    }
+
+    cartItems.swapVariant(
+      this.dataset.index,
+      variant.id,
+      options.findIndex((option) => option.contains(event.target))
+    );
+  }
+
+  reset() {
+    this.querySelectorAll('option').forEach((option) => (option.selected = option.defaultSelected));
+    this.querySelectorAll('input[type="radio"]').forEach((input) => (input.checked = input.defaultChecked));
+  }
+}
+
+customElements.define('cart-variant-picker', CartVariantPicker);
+
+class CartSellingPlanPicker extends HTMLElement {
+  constructor() {
+    super();
+
+    this.select = this.querySelector('select');
+    this.addEventListener('change', this.onChange.bind(this));
+  }
+
+  onChange(event) {
+    // The cart items element reads every change as a quantity update
+    event.stopPropagation();
+
+    const cartItems = this.closest('cart-items, cart-drawer-items');
+    cartItems
+      .updateSellingPlan(this.dataset.index, this.select.value ? parseInt(this.select.value) : null)
+      .catch((error) => {
+        if (!error.status) console.error(error);
+        this.reset();
+        cartItems.updateLiveRegions(this.dataset.index, error.message);
+      });
+  }
+
+  reset() {
+    this.querySelectorAll('option').forEach((option) => (option.selected = option.defaultSelected));
+  }
+}
+
+customElements.define('cart-selling-plan-picker', CartSellingPlanPicker);
+
+class CartItemProperties extends HTMLElement {
+  // Property fields declared on each product page, by product URL
+  static declaredFields = new Map();
+
+  static validationAttributes = ['required', 'maxlength', 'minlength', 'pattern', 'min', 'max', 'step'];
+  static inputTypes = ['text', 'email', 'tel', 'url', 'number', 'date'];
+
+  constructor() {
+    super();
+
+    this.toggle = this.querySelector('.cart-item-properties__toggle');
+    this.editor = this.querySelector('.cart-item-properties__editor');
+    this.saveButton = this.querySelector('.cart-item-properties__save');
+    this.errorElement = this.querySelector('.cart-item-properties__error');
+    this.savedValues = new Map(this.fields.map((field) => [field.dataset.property, field.value]));
+
+    this.toggle.addEventListener('click', () => (this.editor.hidden ? this.open() : this.close()));
+    this.saveButton.addEventListener('click', () => this.save());
+    this.querySelector('.cart-item-properties__cancel').addEventListener('click', () => this.close());
+
+    // The cart items element reads every change as a quantity update
+    this.addEventListener('change', (event) => event.stopPropagation());
+    this.addEventListener('keydown', (event) => {
+      // Enter would submit the cart form, which goes to checkout
+      if (event.key === 'Enter' && event.target.tagName === 'INPUT') {
+        event.preventDefault();
+        this.save();
+      }
+    });
+    // The cart drawer closes on Escape too
+    this.editor.addEventListener('keyup', (event) => {
+      if (event.code !== 'Escape') return;
+      event.stopPropagation();
+      this.close();
+    });
+  }
+
+  get fields() {
+    return Array.from(this.editor.querySelectorAll('[data-property]'));
+  }
+
+  open() {
+    this.editor.hidden = false;
+    this.toggle.setAttribute('aria-expanded', true);
+    this.editor.setAttribute('aria-busy', true);
+
+    this.loadDeclaredFields()
+      .then((declaredFields) => this.fields.forEach((field) => this.applyRules(field, declaredFields)))
+      .catch((e) => {
+        // The fields stay editable without the product page's rules
+        console.error(e);
+      })
+      .finally(() => {
+        this.editor.removeAttribute('aria-busy');
+        this.fields[0]?.focus();
+      });
+  }
+
+  close() {
+    this.editor.hidden = true;
+    this.errorElement.hidden = true;
+    this.toggle.setAttribute('aria-expanded', false);
+    this.fields.forEach((field) => (field.value = this.savedValues.get(field.dataset.property)));
+    this.toggle.focus();
+  }
+
+  // The inputs declared on the product page, whether they're in the product form or tied to it with `form`
+  loadDeclaredFields() {
+    const productUrl = this.dataset.url;
+    if (!CartItemProperties.declaredFields.has(productUrl)) {
+      CartItemProperties.declaredFields.set(
+        productUrl,
+        fetch(productUrl)
+          .then((response) => response.text())
+          .then((responseText) => {
+            const html = new DOMParser().parseFromString(responseText, 'text/html');
+            const declaredFields = new Map();
+            html.querySelectorAll('[name^="properties["]:not([type="hidden"])').forEach((field) => {
+              const name = field.getAttribute('name').slice('properties['.length, -1);
+              if (!declaredFields.has(name)) declaredFields.set(name, field);
+            });
+
+            return declaredFields;
+          })
+          .catch((error) => {
+            CartItemProperties.declaredFields.delete(productUrl);
+            throw error;
+          })
+      );
+    }
+
+    return CartItemProperties.declaredFields.get(productUrl);
+  }
+
+  applyRules(field, declaredFields) {
+    const declaredField = declaredFields.get(field.dataset.property);
+    if (!declaredField) return;
+
+    let target = field;
+    if (['TEXTAREA', 'SELECT'].includes(declaredField.tagName) && field.tagName !== declaredField.tagName) {
+      target = declaredField.tagName === 'SELECT' ? declaredField.cloneNode(true) : document.createElement('textarea');
+      ['name', 'form', 'id', 'class'].forEach((attribute) => target.removeAttribute(attribute));
+      target.id = field.id;
+      target.className = declaredField.tagName === 'SELECT' ? 'field__input' : 'field__input text-area';
+      target.dataset.property = field.dataset.property;
+      target.placeholder = field.placeholder;
+      field.replaceWith(target);
+
+      target.value = field.value;
+    }
+
+    CartItemProperties.validationAttributes.forEach((attribute) => {
+      declaredField.hasAttribute(attribute)
+        ? target.setAttribute(attribute, declaredField.getAttribute(attribute))
+        : target.removeAttribute(attribute);
+    });
+
+    const type = declaredField.getAttribute('type');
+    if (target.tagName === 'INPUT' && CartItemProperties.inputTypes.includes(type)) target.type = type;
+  }
+
+  save() {
+    if (this.saveButton.getAttribute('aria-disabled') === 'true') return;
+
+    const invalidField = this.fields.find((field) => !field.checkValidity());
+    if (invalidField) {
+      invalidField.reportValidity();
+      return;
+    }
+
+    if (this.fields.every((field) => field.value === this.savedValues.get(field.dataset.property))) {
+      this.close();
+      return;
+    }
+
+    // Private properties aren't editable but are sent again, as the change replaces all of them
+    const cartItems = this.closest('cart-items, cart-drawer-items');
+    const properties = { ...cartItems.getLineData(this.dataset.index).properties };
+    this.fields.forEach((field) => (properties[field.dataset.property] = field.value));
+
+    setFormMessage(this.errorElement, null);
+    setButtonLoading(this.saveButton, true);
+
+    cartItems.updateProperties(this.dataset.index, properties).catch((error) => {
+      if (!error.status) console.error(error);
+
+      setFormMessage(this.errorElement, error.message);
+      setButtonLoading(this.saveButton, false);
+    });
+  }
+}
+
+customElements.define('cart-item-properties', CartItemProperties);
+
+class CartInventoryConflict extends HTMLElement {
+  constructor() {
+    super();
+
+    this.querySelectorAll('[data-quantity]').forEach((button) =>
+      button.addEventListener('click', () => this.resolve(parseInt(button.dataset.quantity)))
+    );
+  }
+
+  resolve(quantity) {
+    const cartItems = this.closest('cart-items, cart-drawer-items');
+    const line = this.dataset.index;
+
+    cartItems.resolveInventoryConflicts({ [this.dataset.key]: quantity }, line).catch((error) => {
+      if (!error.status) console.error(error);
+      cartItems.updateLiveRegions(line, error.message);
+    });
+  }
+}
+
+customElements.define('cart-inventory-conflict', CartInventoryConflict);
+
+class CartInventoryConflicts extends HTMLElement {
+  connectedCallback() {
+    this.updates = JSON.parse(this.dataset.updates);
+    this.message = this.querySelector('.cart-inventory-conflicts__message');
+    this.fixButton = this.querySelector('.cart-inventory-conflicts__fix');
+    this.fixButton?.addEventListener('click', this.fixAll.bind(this));
+
+    setCheckoutBlocked(
+      this.dataset.checkoutButtons,
+      'inventory',
+      Object.keys(this.updates).length > 0,
+      this.message.id
+    );
+  }
+
+  fixAll() {
+    if (this.fixButton.getAttribute('aria-disabled') === 'true') return;
+
+    setButtonLoading(this.fixButton, true);
+    this.closest('cart-items, cart-drawer-items')
+      .resolveInventoryConflicts(this.updates)
+      .catch((error) => {
+        if (!error.status) console.error(error);
+        this.message.querySelector('span').textContent = error.message;
+        setButtonLoading(this.fixButton, false);
+      });
+  }
+}
+
+customElements.define('cart-inventory-conflicts', CartInventoryConflicts);
+
 if (!customElements.get('cart-note')) {
   customElements.define(
     'cart-note',
@@ -276,8 +893,9 @@ if (!customElements.get('cart-note')) {
         this.addEventListener(
           'input',
           debounce((event) => {
-            const body = JSON.stringify({ note: event.target.value });
-            fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } });
+            CartClient.update({ note: event.target.value }, { source: 'cart-note', silent: true }).catch((e) => {
+              console.error(e);
+            });
           }, ON_CHANGE_DEBOUNCE_TIMER)
         );
       }
@@ -1,4 +1,7 @@
 const ON_CHANGE_DEBOUNCE_TIMER = 300;
+const CART_UNDO_TIMEOUT = 8000;
+const SHIPPING_RATES_POLL_INTERVAL = 500;
+const SHIPPING_RATES_POLL_ATTEMPTS = 20;
 
 const PUB_SUB_EVENTS = {
   cartUpdate: 'cart-update',
@@ -6,4 +9,5 @@ const PUB_SUB_EVENTS = {
   optionValueSelectionChange: 'option-value-selection-change',
   variantChange: 'variant-change',
   cartError: 'cart-error',
+  savedItemsUpdate: 'saved-items-update',
 };
@@ -0,0 +1,298 @@
+if (!customElements.get('delivery-date-picker')) {
+  customElements.define(
+    'delivery-date-picker',
+    class DeliveryDatePicker extends HTMLElement {
+      static weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+      static attributes = { date: 'Delivery date', time: 'Delivery time' };
+
+      // The choice is shared by the cart page and cart drawer pickers, and outlives the drawer's re-renders
+      static selection = null;
+
+      connectedCallback() {
+        if (!DeliveryDatePicker.selection) {
+          DeliveryDatePicker.selection = { date: this.dataset.date, time: this.dataset.time };
+        }
+
+        this.details = this.querySelector('details');
+        this.grid = this.querySelector('.delivery-date-picker__grid');
+        this.monthHeading = this.querySelector('.delivery-date-picker__month');
+        this.message = this.querySelector('.delivery-date-picker__message');
+        this.slotInputs = Array.from(this.querySelectorAll('.delivery-date-picker__slot input'));
+
+        this.locale = window.Shopify?.locale || document.documentElement.lang;
+        // Dates are shifted by the store's UTC offset and then only read in UTC, so they are the store's dates
+        const [, sign, hours, minutes] = this.dataset.utcOffset.match(/([+-])(\d{2})(\d{2})/) || [, '+', '00', '00'];
+        this.utcOffset = (sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes));
+        this.weekdays = this.dataset.weekdays.split(',').filter(Boolean);
+        this.blackoutDates = this.dataset.blackoutDates.split(',').filter(Boolean);
+        this.firstDayOfWeek = this.getFirstDayOfWeek();
+
+        const { date } = DeliveryDatePicker.selection;
+        this.focusedDate = date && date >= this.today && date <= this.latest ? date : this.earliest;
+        this.month = this.focusedDate.slice(0, 7);
+
+        this.renderWeekdays();
+        this.querySelectorAll('.delivery-date-picker__nav').forEach((button) =>
+          button.addEventListener('click', () => this.changeMonth(parseInt(button.dataset.monthStep)))
+        );
+        this.grid.addEventListener('click', (event) => {
+          const cell = event.target.closest('[data-date]');
+          if (cell) this.selectDate(cell.dataset.date);
+        });
+        this.grid.addEventListener('keydown', this.onKeyDown.bind(this));
+        this.slotInputs.forEach((input) => input.addEventListener('change', () => this.selectTime(input.value)));
+
+        this.update();
+        if (!this.isValid) this.details.open = true;
+      }
+
+      get now() {
+        return new Date(Date.now() + this.utcOffset * 60000);
+      }
+
+      get today() {
+        return this.now.toISOString().slice(0, 10);
+      }
+
+      // Orders placed after the cutoff need one more day of lead time
+      get earliest() {
+        const now = this.now;
+        const cutoff = this.toMinutes(this.dataset.cutoff);
+        const isPastCutoff = cutoff !== null && now.getUTCHours() * 60 + now.getUTCMinutes() >= cutoff;
+
+        return this.addDays(this.today, parseInt(this.dataset.leadTime) + (isPastCutoff ? 1 : 0));
+      }
+
+      get latest() {
+        return this.addDays(this.today, parseInt(this.dataset.daysAhead));
+      }
+
+      get isValid() {
+        const { date, time } = DeliveryDatePicker.selection;
+        if (!date || !this.isAvailable(date)) return false;
+
+        return this.slotInputs.length === 0 || this.getAvailableSlots(date).includes(time);
+      }
+
+      // "14:00" to minutes since midnight
+      toMinutes(time) {
+        const match = (time || '').match(/^(\d{1,2}):(\d{2})/);
+        return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+      }
+
+      toDate(date) {
+        return new Date(`${date}T00:00:00Z`);
+      }
+
+      addDays(date, days) {
+        const result = this.toDate(date);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().slice(0, 10);
+      }
+
+      // Keeps the day of the month where it can, e.g. Jan 31 + 1 month is Feb 28
+      addMonths(date, months) {
+        const result = this.toDate(`${date.slice(0, 7)}-01`);
+        result.setUTCMonth(result.getUTCMonth() + months);
+        const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+        result.setUTCDate(Math.min(parseInt(date.slice(8)), daysInMonth));
+        return result.toISOString().slice(0, 10);
+      }
+
+      getFirstDayOfWeek() {
+        try {
+          const locale = new Intl.Locale(this.locale);
+          const weekInfo = locale.getWeekInfo ? locale.getWeekInfo() : locale.weekInfo;
+          return (weekInfo?.firstDay || 7) % 7;
+        } catch (e) {
+          return 0;
+        }
+      }
+
+      // Slots of today that already started can't be chosen
+      getAvailableSlots(date) {
+        const slots = this.slotInputs.map((input) => input.value);
+        if (date !== this.today) return slots;
+
+        const now = this.now;
+        const minutes = now.getUTCHours() * 60 + now.getUTCMinutes();
+        return slots.filter((slot) => this.toMinutes(slot) > minutes);
+      }
+
+      isAvailable(date) {
+        if (date < this.earliest || date > this.latest) return false;
+        if (this.blackoutDates.includes(date)) return false;
+        if (
+          this.weekdays.length > 0 &&
+          !this.weekdays.includes(DeliveryDatePicker.weekdays[this.toDate(date).getUTCDay()])
+        ) {
+          return false;
+        }
+
+        return this.slotInputs.length === 0 || this.getAvailableSlots(date).length > 0;
+      }
+
+      formatDate(date, options) {
+        return new Intl.DateTimeFormat(this.locale, { ...options, timeZone: 'UTC' }).format(this.toDate(date));
+      }
+
+      renderWeekdays() {
+        const headerRow = this.grid.querySelector('thead tr');
+        // 2023-01-01 was a Sunday
+        const weekStart = this.addDays('2023-01-01', this.firstDayOfWeek);
+
+        headerRow.replaceChildren(
+          ...Array.from({ length: 7 }, (_, index) => {
+            const date = this.addDays(weekStart, index);
+            const header = document.createElement('th');
+            header.scope = 'col';
+            header.abbr = this.formatDate(date, { weekday: 'long' });
+            header.textContent = this.formatDate(date, { weekday: 'short' });
+            return header;
+          })
+        );
+      }
+
+      renderMonth() {
+        const { date: selectedDate } = DeliveryDatePicker.selection;
+        const firstDate = `${this.month}-01`;
+        const leadingDays = (this.toDate(firstDate).getUTCDay() - this.firstDayOfWeek + 7) % 7;
+        const cells = Array.from({ length: leadingDays }, () => document.createElement('td'));
+
+        for (let date = firstDate; date.startsWith(this.month); date = this.addDays(date, 1)) {
+          const cell = document.createElement('td');
+          cell.dataset.date = date;
+          cell.className = 'delivery-date-picker__day';
+          cell.textContent = parseInt(date.slice(8));
+          cell.tabIndex = date === this.focusedDate ? 0 : -1;
+          cell.setAttribute('aria-label', this.formatDate(date, { weekday: 'long', month: 'long', day: 'numeric' }));
+          cell.setAttribute('aria-selected', date === selectedDate);
+          if (!this.isAvailable(date)) cell.setAttribute('aria-disabled', true);
+          if (date === this.today) cell.setAttribute('aria-current', 'date');
+          cells.push(cell);
+        }
+
+        const rows = [];
+        for (let index = 0; index < cells.length; index += 7) {
+          const row = document.createElement('tr');
+          row.append(...cells.slice(index, index + 7));
+          rows.push(row);
+        }
+        this.grid.querySelector('tbody').replaceChildren(...rows);
+
+        this.monthHeading.textContent = this.formatDate(firstDate, { month: 'long', year: 'numeric' });
+        this.querySelector('[data-month-step="-1"]').disabled = this.month <= this.today.slice(0, 7);
+        this.querySelector('[data-month-step="1"]').disabled = this.month >= this.latest.slice(0, 7);
+      }
+
+      changeMonth(step) {
+        const date = this.addMonths(this.focusedDate, step);
+        this.focusedDate = date < this.today ? this.today : date > this.latest ? this.latest : date;
+        this.month = this.focusedDate.slice(0, 7);
+        this.renderMonth();
+      }
+
+      // Follows the keyboard interactions of the date picker pattern of the ARIA Authoring Practices
+      onKeyDown(event) {
+        const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+        const dayOfWeek = (this.toDate(this.focusedDate).getUTCDay() - this.firstDayOfWeek + 7) % 7;
+        let date;
+
+        if (event.key in steps) date = this.addDays(this.focusedDate, steps[event.key]);
+        if (event.key === 'Home') date = this.addDays(this.focusedDate, -dayOfWeek);
+        if (event.key === 'End') date = this.addDays(this.focusedDate, 6 - dayOfWeek);
+        if (event.key === 'PageUp') date = this.addMonths(this.focusedDate, event.shiftKey ? -12 : -1);
+        if (event.key === 'PageDown') date = this.addMonths(this.focusedDate, event.shiftKey ? 12 : 1);
+
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          this.selectDate(this.focusedDate);
+          return;
+        }
+        if (!date) return;
+
+        event.preventDefault();
+        this.focusDate(date < this.today ? this.today : date > this.latest ? this.latest : date);
+      }
+
+      focusDate(date) {
+        this.focusedDate = date;
+        if (date.slice(0, 7) !== this.month) {
+          this.month = date.slice(0, 7);
+          this.renderMonth();
+        }
+
+        this.grid.querySelectorAll('[data-date]').forEach((cell) => {
+          cell.tabIndex = cell.dataset.date === date ? 0 : -1;
+        });
+        this.grid.querySelector(`[data-date="${date}"]`).focus();
+      }
+
+      selectDate(date) {
+        if (!this.isAvailable(date)) return;
+
+        const selection = DeliveryDatePicker.selection;
+        selection.date = date;
+        // The time is kept when the new date offers it too
+        if (!this.getAvailableSlots(date).includes(selection.time)) selection.time = '';
+
+        this.focusedDate = date;
+        this.save();
+        this.grid.querySelector(`[data-date="${date}"]`)?.focus();
+      }
+
+      selectTime(time) {
+        DeliveryDatePicker.selection.time = time;
+        this.save();
+      }
+
+      save() {
+        const { date, time } = DeliveryDatePicker.selection;
+        document.querySelectorAll('delivery-date-picker').forEach((picker) => picker.update());
+
+        // Attributes don't change the cart lines, so the cart isn't re-rendered
+        CartClient.update(
+          { attributes: { [DeliveryDatePicker.attributes.date]: date, [DeliveryDatePicker.attributes.time]: time } },
+          { silent: true }
+        ).catch((error) => {
+          if (!error.status) console.error(error);
+          this.message.textContent = error.message;
+          this.message.classList.add('delivery-date-picker__message--error');
+        });
+      }
+
+      update() {
+        const { date, time } = DeliveryDatePicker.selection;
+        const availableSlots = date ? this.getAvailableSlots(date) : [];
+        this.slotInputs.forEach((input) => {
+          input.disabled = !date || !availableSlots.includes(input.value);
+          input.checked = input.value === time;
+        });
+
+        this.renderMonth();
+
+        const isValid = this.isValid;
+        let message;
+        if (isValid) {
+          const formattedDate = this.formatDate(date, { weekday: 'long', month: 'long', day: 'numeric' });
+          message = time
+            ? window.cartStrings.deliveryDateSelectedWithTime
+                .replace('[date]', formattedDate)
+                .replace('[time]', time.replace('-', '–'))
+            : window.cartStrings.deliveryDateSelected.replace('[date]', formattedDate);
+        } else if (date && !this.isAvailable(date)) {
+          message = window.cartStrings.deliveryDateUnavailable;
+        } else {
+          message =
+            this.slotInputs.length > 0
+              ? window.cartStrings.deliveryDateRequiredWithTime
+              : window.cartStrings.deliveryDateRequired;
+        }
+
+        if (this.message.textContent !== message) this.message.textContent = message;
+        this.message.classList.toggle('delivery-date-picker__message--error', !isValid);
+        setCheckoutBlocked(this.dataset.checkoutButtons, 'delivery-date', !isValid, this.message.id);
+      }
+    }
+  );
+}
@@ -0,0 +1,80 @@
+if (!customElements.get('free-shipping-progress')) {
+  customElements.define(
+    'free-shipping-progress',
+    class FreeShippingProgress extends HTMLElement {
+      // Last progress shown per bar, so a bar replaced by a section re-render animates from where the previous one stood
+      static previousProgress = new Map();
+
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        this.message = this.querySelector('.free-shipping-progress__message');
+        this.bar = this.querySelector('.free-shipping-progress__bar');
+        this.value = this.querySelector('.free-shipping-progress__value');
+
+        this.threshold = toPresentmentCurrency(parseInt(this.dataset.threshold));
+
+        const previousProgress = FreeShippingProgress.previousProgress.get(this.dataset.id);
+        if (previousProgress !== undefined) {
+          this.value.style.setProperty('--progress', previousProgress / 100);
+          // Flush the starting width so the change below transitions instead of jumping
+          this.value.getBoundingClientRect();
+        }
+        this.update(parseInt(this.dataset.totalPrice));
+
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+          if (typeof event.cartData?.total_price === 'number') {
+            this.update(event.cartData.total_price);
+            return;
+          }
+
+          // add responses only carry the added line
+          CartClient.get()
+            .then((cart) => this.update(cart.total_price))
+            .catch((e) => {
+              console.error(e);
+            });
+        });
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+      }
+
+      // Rendering waits for the next frame: when the cart update also re-renders the section, this bar is gone by then
+      // and the replacing one picks up the previous progress instead
+      update(totalPrice) {
+        requestAnimationFrame(() => {
+          if (this.isConnected) this.render(totalPrice);
+        });
+      }
+
+      render(totalPrice) {
+        const remaining = Math.max(this.threshold - totalPrice, 0);
+        const progress = Math.min(Math.floor((totalPrice / this.threshold) * 100), 100);
+        const previousProgress = FreeShippingProgress.previousProgress.get(this.dataset.id);
+
+        this.value.style.setProperty('--progress', progress / 100);
+        this.bar.setAttribute('aria-valuenow', progress);
+
+        const message =
+          remaining > 0
+            ? window.cartStrings.freeShippingRemaining.replace('[amount]', formatMoney(remaining))
+            : window.cartStrings.freeShippingReached;
+        if (this.message.textContent !== message) this.message.textContent = message;
+
+        this.classList.toggle('free-shipping-progress--reached', remaining === 0);
+        if (remaining === 0 && previousProgress !== undefined && previousProgress < 100) {
+          this.classList.add('free-shipping-progress--unlocked');
+          this.value.addEventListener('animationend', () => this.classList.remove('free-shipping-progress--unlocked'), {
+            once: true,
+          });
+        }
+
+        FreeShippingProgress.previousProgress.set(this.dataset.id, progress);
+      }
+    }
+  );
+}
@@ -0,0 +1,96 @@
+/**
+ * Keeps the gift set in the theme settings in the cart while its subtotal reaches the threshold. The gift's own price
+ * is left out of the subtotal, so adding or removing the gift can't take the cart back across the threshold.
+ * The discount code set with the gift, which makes it free, is applied and removed along with it.
+ */
+class GiftWithPurchase {
+  static property = '_gift_with_purchase';
+  static settings = null;
+  static #syncing = false;
+  static #stale = false;
+
+  static init() {
+    const settingsElement = document.getElementById('GiftWithPurchase-Settings');
+    if (!settingsElement) return;
+
+    const { cart, ...settings } = JSON.parse(settingsElement.textContent);
+    settings.threshold = toPresentmentCurrency(settings.threshold);
+    GiftWithPurchase.settings = settings;
+
+    subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+      if (event.source === 'gift-with-purchase') return;
+      GiftWithPurchase.sync();
+    });
+    GiftWithPurchase.sync(cart);
+  }
+
+  static isGiftLine(item) {
+    return item.properties?.[GiftWithPurchase.property] === 'true';
+  }
+
+  // Changes made while a sync is running are picked up by one more sync once it's done
+  static sync(cart) {
+    if (GiftWithPurchase.#syncing) {
+      GiftWithPurchase.#stale = true;
+      return;
+    }
+
+    GiftWithPurchase.#syncing = true;
+    (cart ? Promise.resolve(cart) : CartClient.get())
+      .then((cart) => GiftWithPurchase.apply(cart))
+      .catch((e) => {
+        console.error(e);
+      })
+      .finally(() => {
+        GiftWithPurchase.#syncing = false;
+        if (GiftWithPurchase.#stale) {
+          GiftWithPurchase.#stale = false;
+          GiftWithPurchase.sync();
+        }
+      });
+  }
+
+  static apply(cart) {
+    const { active, variantId, threshold, discountCode } = GiftWithPurchase.settings;
+    const giftLines = cart.items.filter((item) => GiftWithPurchase.isGiftLine(item));
+    const giftTotal = giftLines.reduce((total, item) => total + item.final_line_price, 0);
+    const giftCount = giftLines.reduce((count, item) => count + item.quantity, 0);
+
+    const qualifies = active && cart.item_count > giftCount && cart.items_subtotal_price - giftTotal >= threshold;
+    const giftLine = qualifies ? giftLines.find((item) => item.variant_id === variantId) : null;
+
+    // Gifts that no longer qualify, left over from a previous gift variant, or added twice are removed
+    const updates = {};
+    giftLines.forEach((item) => {
+      if (item !== giftLine) updates[item.key] = 0;
+    });
+    if (giftLine && giftLine.quantity !== 1) updates[giftLine.key] = 1;
+
+    const body = {};
+    if (Object.keys(updates).length > 0) body.updates = updates;
+
+    if (discountCode) {
+      const codes = cart.discount_codes.map((discount) => discount.code);
+      const isGiftCode = (code) => code.toLowerCase() === discountCode.toLowerCase();
+      if (qualifies && !codes.some(isGiftCode)) body.discount = [...codes, discountCode].join(',');
+      if (!qualifies && codes.some(isGiftCode)) body.discount = codes.filter((code) => !isGiftCode(code)).join(',');
+    }
+
+    const requests = [];
+    if (Object.keys(body).length > 0) {
+      requests.push(CartClient.update(body, { source: 'gift-with-purchase' }));
+    }
+    if (qualifies && !giftLine) {
+      requests.push(
+        CartClient.add(
+          { items: [{ id: variantId, quantity: 1, properties: { [GiftWithPurchase.property]: 'true' } }] },
+          { source: 'gift-with-purchase' }
+        )
+      );
+    }
+
+    return Promise.all(requests);
+  }
+}
+
+GiftWithPurchase.init();
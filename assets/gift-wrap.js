@@ -0,0 +1,177 @@
+if (!customElements.get('gift-wrap')) {
+  customElements.define(
+    'gift-wrap',
+    class GiftWrap extends HTMLElement {
+      static property = '_gift_wrap';
+      static attribute = 'Gift message';
+      static source = 'gift-wrap';
+      static subscribed = false;
+      static #syncing = false;
+      static #stale = false;
+
+      constructor() {
+        super();
+
+        this.checkbox = this.querySelector('.gift-wrap__checkbox');
+        this.messageField = this.querySelector('.gift-wrap__message');
+        this.messageInput = this.messageField?.querySelector('textarea');
+        // Rendered disabled when the wrap is sold out, so it can only be removed
+        this.renderedDisabled = this.checkbox.disabled;
+
+        this.checkbox.addEventListener('change', this.onChange.bind(this));
+        this.messageInput?.addEventListener(
+          'input',
+          debounce(() => this.saveMessage(), ON_CHANGE_DEBOUNCE_TIMER)
+        );
+      }
+
+      connectedCallback() {
+        if (GiftWrap.subscribed) return;
+        GiftWrap.subscribed = true;
+
+        // Lines removed or added elsewhere, including the wrap line itself, bring the wrap back in line with the cart
+        subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
+          if (event.source === GiftWrap.source) return;
+          GiftWrap.sync();
+        });
+      }
+
+      static isWrapLine(item) {
+        return item.properties?.[GiftWrap.property] === 'true';
+      }
+
+      // Changes made while a sync is running are picked up by one more sync once it's done
+      static sync() {
+        if (GiftWrap.#syncing) {
+          GiftWrap.#stale = true;
+          return;
+        }
+
+        GiftWrap.#syncing = true;
+        CartClient.get()
+          .then((cart) =>
+            GiftWrap.apply(
+              cart,
+              cart.items.some((item) => GiftWrap.isWrapLine(item))
+            )
+          )
+          .catch((e) => {
+            console.error(e);
+          })
+          .finally(() => {
+            GiftWrap.#syncing = false;
+            if (GiftWrap.#stale) {
+              GiftWrap.#stale = false;
+              GiftWrap.sync();
+            }
+          });
+      }
+
+      // Resolves with whether the cart holds the wrap once the changes are made
+      static apply(cart, enabled) {
+        const element = document.querySelector('gift-wrap');
+        if (!element) return Promise.resolve(false);
+
+        const variantId = parseInt(element.dataset.variantId);
+        const wrapLines = cart.items.filter((item) => GiftWrap.isWrapLine(item));
+        const wrappedLines = cart.items.filter(
+          (item) => !GiftWrap.isWrapLine(item) && item.properties?._gift_with_purchase !== 'true'
+        );
+        const quantity =
+          enabled && wrappedLines.length > 0 ? (element.dataset.mode === 'line' ? wrappedLines.length : 1) : 0;
+
+        // Wraps of a previous wrap product, or added twice, are removed
+        const wrapLine = wrapLines.find((item) => item.variant_id === variantId);
+        const updates = {};
+        wrapLines.forEach((item) => {
+          if (item !== wrapLine) updates[item.key] = 0;
+        });
+        if (wrapLine && wrapLine.quantity !== quantity) updates[wrapLine.key] = quantity;
+
+        // The gift message only goes along with the wrap
+        const message = quantity > 0 ? element.messageInput?.value.trim() || '' : '';
+        const attributes =
+          (cart.attributes[GiftWrap.attribute] || '') !== message ? { [GiftWrap.attribute]: message } : null;
+
+        const requests = [];
+        if (Object.keys(updates).length > 0 || attributes) {
+          requests.push(
+            CartClient.update(
+              { updates, ...(attributes && { attributes }) },
+              { source: GiftWrap.source, silent: Object.keys(updates).length === 0 }
+            )
+          );
+        }
+        if (quantity > 0 && !wrapLine) {
+          requests.push(
+            CartClient.add(
+              { items: [{ id: variantId, quantity, properties: { [GiftWrap.property]: 'true' } }] },
+              { source: GiftWrap.source }
+            )
+          );
+        }
+
+        return Promise.all(requests).then(() => {
+          GiftWrap.render(quantity > 0);
+          return quantity > 0;
+        });
+      }
+
+      static render(enabled) {
+        document.querySelectorAll('gift-wrap').forEach((element) => {
+          element.checkbox.checked = enabled;
+          if (element.messageField) element.messageField.hidden = !enabled;
+        });
+      }
+
+      onChange() {
+        const enabled = this.checkbox.checked;
+        this.setLoading(true);
+        this.hideError();
+
+        CartClient.get()
+          .then((cart) => GiftWrap.apply(cart, enabled))
+          .then((hasWrap) => {
+            if (enabled && hasWrap) this.messageInput?.focus();
+          })
+          .catch((error) => {
+            if (!error.status) console.error(error);
+            this.showError(error.message);
+            GiftWrap.sync();
+          })
+          .finally(() => this.setLoading(false));
+      }
+
+      saveMessage() {
+        if (!this.checkbox.checked) return;
+
+        const message = this.messageInput.value.trim();
+        document.querySelectorAll('gift-wrap').forEach((element) => {
+          if (element !== this && element.messageInput) element.messageInput.value = this.messageInput.value;
+        });
+
+        // Attributes don't change the cart lines, so the cart isn't re-rendered
+        CartClient.update(
+          { attributes: { [GiftWrap.attribute]: message } },
+          { source: GiftWrap.source, silent: true }
+        ).catch((error) => {
+          if (!error.status) console.error(error);
+          this.showError(error.message);
+        });
+      }
+
+      setLoading(loading) {
+        this.checkbox.disabled = loading || (this.renderedDisabled && !this.checkbox.checked);
+        this.querySelector('.loading__spinner').classList.toggle('hidden', !loading);
+      }
+
+      showError(message) {
+        setFormMessage(this.querySelector('.gift-wrap__error'), message);
+      }
+
+      hideError() {
+        setFormMessage(this.querySelector('.gift-wrap__error'), null);
+      }
+    }
+  );
+}
@@ -306,6 +306,94 @@ function fetchConfig(type = 'json') {
   };
 }
 
+// Formats an amount in cents with the shop's money formats, as the `money` and `money_with_currency` Liquid filters do
+function formatMoney(cents, withCurrency = false) {
+  const format = withCurrency ? window.moneyFormats.moneyWithCurrency : window.moneyFormats.money;
+  const formatAmount = (precision, thousands = ',', decimal = '.') => {
+    const [whole, fraction] = (Number(cents) / 100).toFixed(precision).split('.');
+    return whole.replace(/\B(?=(\d{3})+(?!\d))/g, thousands) + (fraction ? decimal + fraction : '');
+  };
+  const amounts = {
+    amount: () => formatAmount(2),
+    amount_no_decimals: () => formatAmount(0),
+    amount_with_comma_separator: () => formatAmount(2, '.', ','),
+    amount_no_decimals_with_comma_separator: () => formatAmount(0, '.', ','),
+    amount_with_apostrophe_separator: () => formatAmount(2, "'"),
+    amount_no_decimals_with_space_separator: () => formatAmount(0, ' '),
+    amount_with_space_separator: () => formatAmount(2, ' ', ','),
+    amount_with_period_and_space_separator: () => formatAmount(2, ' ', '.'),
+  };
+
+  // Formats may wrap the amount in markup, which has no place in the text it's written to
+  return format
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\{\s*(\w+)\s*\}\}/, (placeholder, name) => (amounts[name] ? amounts[name]() : placeholder));
+}
+
+// Converts an amount in cents from the store currency, the one theme settings are in, to the presentment currency of
+// the cart
+function toPresentmentCurrency(cents) {
+  return Math.round(cents * parseFloat(window.Shopify?.currency?.rate || 1));
+}
+
+// Several cart features can hold back checkout at once, each under its own reason: the checkout buttons only come
+// back once every reason is released. Buttons are disabled, and links lose their destination, both described by the
+// messages explaining why. Dynamic checkout buttons can't be disabled, so they're hidden instead
+function setCheckoutBlocked(selector, reason, blocked, messageId = '') {
+  document.querySelectorAll(selector).forEach((element) => {
+    const reasons = JSON.parse(element.dataset.checkoutBlockedBy || '{}');
+    blocked ? (reasons[reason] = messageId) : delete reasons[reason];
+    const isBlocked = Object.keys(reasons).length > 0;
+    element.dataset.checkoutBlockedBy = JSON.stringify(reasons);
+
+    if (element.tagName === 'A') {
+      if (!element.dataset.href) element.dataset.href = element.getAttribute('href');
+      isBlocked ? element.removeAttribute('href') : element.setAttribute('href', element.dataset.href);
+      isBlocked ? element.setAttribute('aria-disabled', true) : element.removeAttribute('aria-disabled');
+    } else if (element.tagName === 'BUTTON') {
+      // Buttons rendered disabled, e.g. for an empty cart, stay disabled
+      if (!element.dataset.renderedDisabled) element.dataset.renderedDisabled = element.disabled;
+      element.disabled = isBlocked || element.dataset.renderedDisabled === 'true';
+    } else {
+      element.hidden = isBlocked;
+      return;
+    }
+
+    const messageIds = Object.values(reasons).filter(Boolean).join(' ');
+    messageIds ? element.setAttribute('aria-describedby', messageIds) : element.removeAttribute('aria-describedby');
+  });
+}
+
+// Reads a message out through a `role="status"` element. It's only exposed to assistive technologies while the
+// message is new, so it isn't read again along with the content around it
+function announce(statusElement, message) {
+  statusElement.textContent = message;
+  statusElement.setAttribute('aria-hidden', false);
+
+  setTimeout(() => {
+    statusElement.setAttribute('aria-hidden', true);
+  }, 1000);
+}
+
+// Shows the spinner of a button while its request runs, and keeps it from being pressed again meanwhile
+function setButtonLoading(button, loading) {
+  button.classList.toggle('loading', loading);
+  button.querySelector('.loading__spinner').classList.toggle('hidden', !loading);
+  loading ? button.setAttribute('aria-disabled', true) : button.removeAttribute('aria-disabled');
+}
+
+// Shows a message in a form message element, written to its `.form__message-text`, or hides it when there's none
+function setFormMessage(element, message) {
+  if (message) element.querySelector('.form__message-text').textContent = message;
+  element.hidden = !message;
+}
+
+// Re-rendering a section replaces the elements in it, so follow-ups run on the element that took the place of this
+// one, found by its tag and `data-id-prefix`
+function getRerenderedElement(element) {
+  return document.querySelector(`${element.localName}[data-id-prefix="${element.dataset.idPrefix}"]`) || element;
+}
+
 /*
  * Shopify Common JS
  *
@@ -1057,9 +1145,14 @@ class VariantSelects extends HTMLElement {
   }
 
   connectedCallback() {
+    // Each variant as [option values, available]. The values are names, as they're what the inputs carry
+    this.variantMatrix = JSON.parse(this.querySelector('[data-variant-matrix]')?.textContent || '[]');
+    this.updateAvailability();
+
     this.addEventListener('change', (event) => {
       const target = this.getInputForEventTarget(event.target);
       this.updateSelectionMetadata(event);
+      this.updateAvailability();
 
       publish(PUB_SUB_EVENTS.optionValueSelectionChange, {
         data: {
@@ -1103,6 +1196,56 @@ class VariantSelects extends HTMLElement {
     }
   }
 
+  // Marks every value with what choosing it, while keeping the values selected in the other options, leads to
+  updateAvailability() {
+    if (this.variantMatrix.length === 0) return;
+
+    const options = Array.from(this.querySelectorAll('.product-form__input'));
+    const selection = options.map((option) => option.querySelector('option[selected], input:checked')?.value);
+
+    options.forEach((option, optionIndex) => {
+      option.querySelectorAll('option, input[type="radio"]').forEach((element) => {
+        const values = selection.map((value, index) => (index === optionIndex ? element.value : value));
+        this.setAvailability(element, this.getAvailability(values));
+      });
+    });
+  }
+
+  // Options without a selected value match any variant
+  getAvailability(values) {
+    const variants = this.variantMatrix.filter(([options]) =>
+      options.every((option, index) => !values[index] || values[index] === option)
+    );
+
+    if (variants.some(([, available]) => available)) return 'available';
+    return variants.length > 0 ? 'sold-out' : 'unavailable';
+  }
+
+  setAvailability(element, availability) {
+    element.dataset.availability = availability;
+    const isAvailable = availability === 'available';
+    const isSoldOut = availability === 'sold-out';
+
+    if (element.tagName === 'OPTION') {
+      const text = isSoldOut
+        ? window.variantStrings.sold_out_with_option
+        : window.variantStrings.unavailable_with_option;
+      element.textContent = isAvailable ? element.value : text.replace('[value]', element.value);
+      return;
+    }
+
+    element.classList.toggle(
+      element.classList.contains('swatch-input__input') ? 'visually-disabled' : 'disabled',
+      !isAvailable
+    );
+    const labelUnavailable = element.labels[0]?.querySelector('.label-unavailable');
+    if (labelUnavailable) {
+      labelUnavailable.textContent = isSoldOut
+        ? window.variantStrings.variantSoldOut
+        : window.variantStrings.variantUnavailable;
+    }
+  }
+
   getInputForEventTarget(target) {
     return target.tagName === 'SELECT' ? target.selectedOptions[0] : target;
   }
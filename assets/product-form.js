@@ -12,9 +12,20 @@ if (!customElements.get('product-form')) {
         this.submitButton = this.querySelector('[type="submit"]');
         this.submitButtonText = this.submitButton.querySelector('span');
 
-        if (document.querySelector('cart-drawer')) this.submitButton.setAttribute('aria-haspopup', 'dialog');
+        this.buyNow = this.dataset.buyNow === 'true';
+        if (document.querySelector('cart-drawer') && !this.buyNow) {
+          this.submitButton.setAttribute('aria-haspopup', 'dialog');
+        }
 
         this.hideErrors = this.dataset.hideErrors === 'true';
+        this.preorder = this.preorderInput?.disabled === false;
+
+        // Coming back from checkout restores the page as it was left, still loading
+        if (this.buyNow) {
+          window.addEventListener('pageshow', (event) => {
+            if (event.persisted) this.resetSubmitButton();
+          });
+        }
       }
 
       onSubmitHandler(evt) {
@@ -27,79 +38,86 @@ if (!customElements.get('product-form')) {
         this.submitButton.classList.add('loading');
         this.querySelector('.loading__spinner').classList.remove('hidden');
 
-        const config = fetchConfig('javascript');
-        config.headers['X-Requested-With'] = 'XMLHttpRequest';
-        delete config.headers['Content-Type'];
-
         const formData = new FormData(this.form);
-        if (this.cart) {
-          formData.append(
-            'sections',
-            this.cart.getSectionsToRender().map((section) => section.id)
-          );
-          formData.append('sections_url', window.location.pathname);
-          this.cart.setActiveElement(document.activeElement);
-        }
-        config.body = formData;
-
-        fetch(`${routes.cart_add_url}`, config)
-          .then((response) => response.json())
+        if (this.cart && !this.buyNow) this.cart.setActiveElement(document.activeElement);
+
+        // Buy now goes through the same add as the cart, so validation and errors work the same. The line is added
+        // next to the ones already in the cart, which go to checkout along with it
+        CartClient.add(formData, {
+          sections: this.cart && !this.buyNow ? this.cart.getSectionsToRender().map((section) => section.id) : [],
+          source: 'product-form',
+          eventData: { productVariantId: formData.get('id') },
+          // The update is published below, unless the previous attempt failed
+          silent: true,
+        })
           .then((response) => {
-            if (response.status) {
-              publish(PUB_SUB_EVENTS.cartError, {
+            if (!this.error)
+              publish(PUB_SUB_EVENTS.cartUpdate, {
                 source: 'product-form',
                 productVariantId: formData.get('id'),
-                errors: response.errors || response.description,
-                message: response.message,
+                cartData: response,
               });
-              this.handleErrorMessage(response.description);
-
-              const soldOutMessage = this.submitButton.querySelector('.sold-out-message');
-              if (!soldOutMessage) return;
-              this.submitButton.setAttribute('aria-disabled', true);
-              this.submitButtonText.classList.add('hidden');
-              soldOutMessage.classList.remove('hidden');
-              this.error = true;
+
+            if (this.buyNow) {
+              this.redirecting = true;
+              window.location = window.routes.checkout_url;
               return;
-            } else if (!this.cart) {
+            }
+
+            if (!this.cart) {
               window.location = window.routes.cart_url;
               return;
             }
 
-            if (!this.error)
-              publish(PUB_SUB_EVENTS.cartUpdate, {
-                source: 'product-form',
-                productVariantId: formData.get('id'),
-                cartData: response,
-              });
             this.error = false;
+            const addedQuantities = [parseInt(formData.get('quantity'))];
             const quickAddModal = this.closest('quick-add-modal');
             if (quickAddModal) {
               document.body.addEventListener(
                 'modalClosed',
                 () => {
                   setTimeout(() => {
-                    this.cart.renderContents(response);
+                    this.cart.renderContents(response, addedQuantities);
                   });
                 },
                 { once: true }
               );
               quickAddModal.hide(true);
             } else {
-              this.cart.renderContents(response);
+              this.cart.renderContents(response, addedQuantities);
             }
           })
-          .catch((e) => {
-            console.error(e);
+          .catch((error) => {
+            if (!error.status) {
+              console.error(error);
+              return;
+            }
+
+            this.handleErrorMessage(error.description);
+
+            const soldOutMessage = this.submitButton.querySelector('.sold-out-message');
+            if (!soldOutMessage) return;
+            this.submitButton.setAttribute('aria-disabled', true);
+            this.submitButtonText.classList.add('hidden');
+            soldOutMessage.classList.remove('hidden');
+            this.error = true;
           })
           .finally(() => {
-            this.submitButton.classList.remove('loading');
+            // The button keeps loading until checkout opens
+            if (this.redirecting) return;
+
             if (this.cart && this.cart.classList.contains('is-empty')) this.cart.classList.remove('is-empty');
-            if (!this.error) this.submitButton.removeAttribute('aria-disabled');
-            this.querySelector('.loading__spinner').classList.add('hidden');
+            this.resetSubmitButton();
           });
       }
 
+      resetSubmitButton() {
+        this.redirecting = false;
+        this.submitButton.classList.remove('loading');
+        if (!this.error) this.submitButton.removeAttribute('aria-disabled');
+        this.querySelector('.loading__spinner').classList.add('hidden');
+      }
+
       handleErrorMessage(errorMessage = false) {
         if (this.hideErrors) return;
 
@@ -121,10 +139,25 @@ if (!customElements.get('product-form')) {
           if (text) this.submitButtonText.textContent = text;
         } else {
           this.submitButton.removeAttribute('disabled');
-          this.submitButtonText.textContent = window.variantStrings.addToCart;
+          this.submitButtonText.textContent = this.preorder
+            ? window.variantStrings.preorder
+            : this.buyNow
+            ? window.variantStrings.buyNow
+            : window.variantStrings.addToCart;
         }
       }
 
+      // Variants that keep selling past their stock are pre-ordered: the button says so, and the line gets a
+      // `_preorder` property. Call it before `toggleSubmitButton`, which sets the button text
+      setPreorder(preorder) {
+        this.preorder = preorder;
+        if (this.preorderInput) this.preorderInput.disabled = !preorder;
+      }
+
+      get preorderInput() {
+        return this.form.querySelector('[name="properties[_preorder]"]');
+      }
+
       get variantIdInput() {
         return this.form.querySelector('[name=id]');
       }
@@ -2,6 +2,15 @@ if (!customElements.get('product-info')) {
   customElements.define(
     'product-info',
     class ProductInfo extends HTMLElement {
+      // Rendered responses by request URL, which carries the selected option values. The least recently used ones are
+      // dropped past the limit. They show the stock and the quantities in the cart, so they're fetched again once
+      // they're older than the max age, and all dropped when the cart changes. Full pages, fetched to swap to another
+      // product, are many times the size of a section and aren't cached
+      static variantCache = new Map();
+      static variantCacheLimit = 20;
+      static variantCacheMaxAge = 5 * 60 * 1000;
+      static variantCacheUnsubscriber = null;
+
       quantityInput = undefined;
       quantityForm = undefined;
       onVariantChangeUnsubscriber = undefined;
@@ -15,6 +24,11 @@ if (!customElements.get('product-info')) {
         super();
 
         this.quantityInput = this.querySelector('.quantity__input');
+
+        this.addEventListener('pointerover', (event) => {
+          if (event.pointerType === 'mouse') this.prefetchOptionValue(event.target);
+        });
+        this.addEventListener('focusin', (event) => this.prefetchOptionValue(event.target));
       }
 
       connectedCallback() {
@@ -25,6 +39,12 @@ if (!customElements.get('product-info')) {
           this.handleOptionValueChange.bind(this)
         );
 
+        if (!ProductInfo.variantCacheUnsubscriber) {
+          ProductInfo.variantCacheUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, () =>
+            ProductInfo.variantCache.clear()
+          );
+        }
+
         this.initQuantityHandlers();
         this.dispatchEvent(new CustomEvent('product-info:loaded', { bubbles: true }));
       }
@@ -45,6 +65,53 @@ if (!customElements.get('product-info')) {
         }
       }
 
+      // Loads what choosing the option value under the pointer or focus would render, so the choice shows at once
+      prefetchOptionValue(element) {
+        const label = element.closest('variant-selects label');
+        const input = label ? document.getElementById(label.htmlFor) : element.closest('variant-selects input');
+        if (!input || input.type !== 'radio' || input.checked || !this.contains(input)) return;
+
+        const variantSelects = this.variantSelectors;
+        const optionIndex = Array.from(variantSelects.querySelectorAll('.product-form__input')).indexOf(
+          input.closest('.product-form__input')
+        );
+        const selectedOptionValues = variantSelects.selectedOptionValues;
+        if (optionIndex < 0 || optionIndex >= selectedOptionValues.length) return;
+        selectedOptionValues[optionIndex] = input.dataset.optionValueId;
+
+        const productUrl = input.dataset.productUrl || this.dataset.url;
+        const shouldFetchFullPage = this.dataset.updateUrl === 'true' && this.dataset.url !== productUrl;
+        if (shouldFetchFullPage) return;
+
+        this.fetchProductInfo(this.buildRequestUrlWithParams(productUrl, selectedOptionValues)).catch(() => {});
+      }
+
+      fetchProductInfo(requestUrl, cacheable = true) {
+        const cache = ProductInfo.variantCache;
+        const cached = cache.get(requestUrl);
+        cache.delete(requestUrl);
+
+        if (cached && Date.now() - cached.time < ProductInfo.variantCacheMaxAge) {
+          cache.set(requestUrl, cached);
+          return cached.request;
+        }
+
+        const request = fetch(requestUrl).then((response) => {
+          if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+          return response.text();
+        });
+        if (!cacheable) return request;
+
+        cache.set(requestUrl, { request, time: Date.now() });
+        request.catch(() => {
+          if (cache.get(requestUrl)?.request === request) cache.delete(requestUrl);
+        });
+
+        while (cache.size > ProductInfo.variantCacheLimit) cache.delete(cache.keys().next().value);
+
+        return request;
+      }
+
       disconnectedCallback() {
         this.onVariantChangeUnsubscriber();
         this.cartUpdateUnsubscriber?.();
@@ -73,6 +140,7 @@ if (!customElements.get('product-info')) {
         this.renderProductInfo({
           requestUrl: this.buildRequestUrlWithParams(productUrl, selectedOptionValues, shouldFetchFullPage),
           targetId: target.id,
+          cacheable: !shouldFetchFullPage,
           callback: shouldSwapProduct
             ? this.handleSwapProduct(productUrl, shouldFetchFullPage)
             : this.handleUpdateProductInfo(productUrl),
@@ -113,27 +181,26 @@ if (!customElements.get('product-info')) {
         };
       }
 
-      renderProductInfo({ requestUrl, targetId, callback }) {
+      // Responses are cached as text: the callbacks move nodes out of the parsed document, so it can't be reused
+      renderProductInfo({ requestUrl, targetId, callback, cacheable }) {
         this.abortController?.abort();
         this.abortController = new AbortController();
+        const { signal } = this.abortController;
 
-        fetch(requestUrl, { signal: this.abortController.signal })
-          .then((response) => response.text())
+        this.fetchProductInfo(requestUrl, cacheable)
           .then((responseText) => {
+            // A newer selection was made while this one loaded. Its response stays cached for when it's chosen again
+            if (signal.aborted) return;
+
             this.pendingRequestUrl = null;
             const html = new DOMParser().parseFromString(responseText, 'text/html');
             callback(html);
-          })
-          .then(() => {
+
             // set focus to last clicked option value
             document.querySelector(`#${targetId}`)?.focus();
           })
           .catch((error) => {
-            if (error.name === 'AbortError') {
-              console.log('Fetch aborted by user');
-            } else {
-              console.error(error);
-            }
+            console.error(error);
           });
       }
 
@@ -191,11 +258,15 @@ if (!customElements.get('product-info')) {
           updateSourceFromDestination('Inventory', ({ innerText }) => innerText === '');
           updateSourceFromDestination('Volume');
           updateSourceFromDestination('Price-Per-Item', ({ classList }) => classList.contains('hidden'));
+          updateSourceFromDestination('Preorder', ({ classList }) => classList.contains('hidden'));
 
           this.updateQuantityRules(this.sectionId, html);
           this.querySelector(`#Quantity-Rules-${this.dataset.section}`)?.classList.remove('hidden');
           this.querySelector(`#Volume-Note-${this.dataset.section}`)?.classList.remove('hidden');
 
+          this.productForm?.setPreorder(
+            html.getElementById(`Preorder-${this.sectionId}`)?.classList.contains('hidden') === false
+          );
           this.productForm?.toggleSubmitButton(
             html.getElementById(`ProductSubmitButton-${this.sectionId}`)?.hasAttribute('disabled') ?? true,
             window.variantStrings.soldOut
@@ -232,6 +303,8 @@ if (!customElements.get('product-info')) {
 
       setUnavailable() {
         this.productForm?.toggleSubmitButton(true, window.variantStrings.unavailable);
+        // No variant change is published for a combination that doesn't exist, so the signup is told directly
+        this.backInStock?.update(null);
 
         const selectors = ['price', 'Inventory', 'Sku', 'Price-Per-Item', 'Volume-Note', 'Volume', 'Quantity-Rules']
           .map((id) => `#${id}-${this.dataset.section}`)
@@ -388,6 +461,10 @@ if (!customElements.get('product-info')) {
         return this.querySelector(`pickup-availability`);
       }
 
+      get backInStock() {
+        return this.querySelector(`back-in-stock`);
+      }
+
       get variantSelectors() {
         return this.querySelector('variant-selects');
       }
@@ -104,20 +104,17 @@ if (!customElements.get('quick-add-bulk')) {
         this.selectProgressBar().classList.remove('hidden');
 
         const ids = Object.keys(items);
-        const body = JSON.stringify({
-          updates: items,
-          sections: this.getSectionsToRender().map((section) => section.section),
-          sections_url: this.getSectionsUrl(),
-        });
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => {
-            return response.text();
-          })
-          .then((state) => {
-            const parsedState = JSON.parse(state);
+        CartClient.update(
+          { updates: items },
+          {
+            sections: this.getSectionsToRender().map((section) => section.section),
+            sectionsUrl: this.getSectionsUrl(),
+            source: 'quick-add',
+          }
+        )
+          .then((parsedState) => {
             this.renderSections(parsedState, ids);
-            publish(PUB_SUB_EVENTS.cartUpdate, { source: 'quick-add', cartData: parsedState });
           })
           .catch(() => {
             // Commented out for now and will be fixed when BE issue is done https://github.com/Shopify/shopify/issues/440605
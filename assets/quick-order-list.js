@@ -372,23 +372,19 @@ if (!customElements.get('quick-order-list')) {
         this.querySelector('.variant-remove-total .loading__spinner')?.classList.remove('hidden');
         const ids = Object.keys(items);
 
-        const body = JSON.stringify({
-          updates: items,
-          sections: this.getSectionsToRender().map((section) => section.section),
-          sections_url: this.dataset.url,
-        });
-
         this.updateMessage();
         this.setErrorMessage();
 
-        fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
-          .then((response) => {
-            return response.text();
-          })
-          .then((state) => {
-            const parsedState = JSON.parse(state);
+        CartClient.update(
+          { updates: items },
+          {
+            sections: this.getSectionsToRender().map((section) => section.section),
+            sectionsUrl: this.dataset.url,
+            source: this.quickOrderListId,
+          }
+        )
+          .then((parsedState) => {
             this.renderSections(parsedState, ids);
-            publish(PUB_SUB_EVENTS.cartUpdate, { source: this.quickOrderListId, cartData: parsedState });
           })
           .catch(() => {
             this.setErrorMessage(window.cartStrings.error);
@@ -0,0 +1,377 @@
+// Default storage, used for guests and for customers until a shared adapter is set
+class LocalSavedItemsStore {
+  static key(customerId) {
+    return customerId ? `saved-for-later:${customerId}` : 'saved-for-later';
+  }
+
+  static load(customerId) {
+    try {
+      return Promise.resolve(JSON.parse(localStorage.getItem(LocalSavedItemsStore.key(customerId))) || []);
+    } catch (e) {
+      return Promise.resolve([]);
+    }
+  }
+
+  static save(items, customerId) {
+    localStorage.setItem(LocalSavedItemsStore.key(customerId), JSON.stringify(items));
+    return Promise.resolve();
+  }
+}
+
+/**
+ * Storage shared across devices for logged-in customers, through an app proxy that keeps the list, e.g. in a customer
+ * metafield. A GET returns the list as JSON and a POST replaces it. The list is also kept in localStorage, so the
+ * customer still sees it when the proxy can't be reached.
+ */
+class ProxySavedItemsStore {
+  constructor(url) {
+    this.url = url;
+  }
+
+  load(customerId) {
+    return fetch(this.url, { headers: { Accept: 'application/json' } })
+      .then((response) => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return response.json();
+      })
+      .then((items) => LocalSavedItemsStore.save(items, customerId).then(() => items))
+      .catch((e) => {
+        console.error(e);
+        return LocalSavedItemsStore.load(customerId);
+      });
+  }
+
+  save(items, customerId) {
+    return LocalSavedItemsStore.save(items, customerId).then(() =>
+      fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(items),
+      }).then((response) => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      })
+    );
+  }
+}
+
+/**
+ * The saved list of the current visitor. Each entry keeps what's needed to add the line back:
+ * { variantId, quantity, properties, sellingPlanId, url, title, variantTitle, image }
+ *
+ * Logged-in customers get the same list on every device when the theme's sync URL is set, see ProxySavedItemsStore.
+ * Apps can plug in other storage with SavedItems.setAdapter({ load(customerId), save(items, customerId) }), both
+ * returning promises. Guests always use localStorage.
+ */
+class SavedItems {
+  static customerId = null;
+  static #adapter = null;
+  static #items = null;
+
+  static setAdapter(adapter) {
+    SavedItems.#adapter = adapter;
+    SavedItems.#refresh();
+  }
+
+  static get hasAdapter() {
+    return Boolean(SavedItems.#adapter);
+  }
+
+  static getAll() {
+    if (!SavedItems.#items) {
+      SavedItems.#items = SavedItems.#store.load(SavedItems.customerId).catch((e) => {
+        console.error(e);
+        return [];
+      });
+    }
+
+    return SavedItems.#items;
+  }
+
+  // Saving the same line twice adds up the quantities, like adding it to the cart would
+  static add(entry) {
+    return SavedItems.getAll().then((items) => {
+      const existing = items.find((item) => SavedItems.isSameLine(item, entry));
+      const quantity = entry.quantity + (existing?.quantity || 0);
+
+      return SavedItems.#save([{ ...entry, quantity }, ...items.filter((item) => item !== existing)]);
+    });
+  }
+
+  // Puts the list back as it was, e.g. when a saved line couldn't be taken out of the cart
+  static restore(items) {
+    return SavedItems.#save(items);
+  }
+
+  static remove(entry) {
+    return SavedItems.getAll().then((items) =>
+      SavedItems.#save(items.filter((item) => !SavedItems.isSameLine(item, entry)))
+    );
+  }
+
+  static isSameLine(item, otherItem) {
+    return (
+      item.variantId === otherItem.variantId &&
+      item.sellingPlanId === otherItem.sellingPlanId &&
+      JSON.stringify(item.properties) === JSON.stringify(otherItem.properties)
+    );
+  }
+
+  static get #store() {
+    return SavedItems.customerId && SavedItems.#adapter ? SavedItems.#adapter : LocalSavedItemsStore;
+  }
+
+  static #save(items) {
+    SavedItems.#items = Promise.resolve(items);
+
+    return SavedItems.#store.save(items, SavedItems.customerId).then(() => {
+      publish(PUB_SUB_EVENTS.savedItemsUpdate, { items });
+      return items;
+    });
+  }
+
+  static #refresh() {
+    SavedItems.#items = null;
+    SavedItems.getAll().then((items) => publish(PUB_SUB_EVENTS.savedItemsUpdate, { items }));
+  }
+
+  static init() {
+    // Keeps other tabs' lists in step when they share the localStorage list
+    window.addEventListener('storage', (event) => {
+      if (event.key === LocalSavedItemsStore.key(SavedItems.customerId)) SavedItems.#refresh();
+    });
+  }
+}
+
+SavedItems.init();
+
+class SavedForLater extends HTMLElement {
+  // Product data by URL, to flag saved variants that can't be bought anymore
+  static products = new Map();
+
+  savedItemsUpdateUnsubscriber = undefined;
+
+  constructor() {
+    super();
+
+    // Every page with a save button renders a list, so the list is what tells the storage whose items these are
+    SavedItems.customerId = this.dataset.customerId || null;
+    if (SavedItems.customerId && this.dataset.syncUrl && !SavedItems.hasAdapter) {
+      SavedItems.setAdapter(new ProxySavedItemsStore(this.dataset.syncUrl));
+    }
+    this.content = this.querySelector('.saved-for-later__content');
+    this.list = this.querySelector('.saved-for-later__items');
+    this.template = this.querySelector('template');
+  }
+
+  connectedCallback() {
+    this.savedItemsUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.savedItemsUpdate, () => this.render());
+    this.render();
+  }
+
+  disconnectedCallback() {
+    if (this.savedItemsUpdateUnsubscriber) {
+      this.savedItemsUpdateUnsubscriber();
+    }
+  }
+
+  render() {
+    return SavedItems.getAll().then((items) => {
+      this.list.replaceChildren(...items.map((item, index) => this.renderItem(item, index)));
+      this.content.hidden = items.length === 0;
+    });
+  }
+
+  renderItem(item, index) {
+    const element = this.template.content.firstElementChild.cloneNode(true);
+    const titleId = `${this.dataset.idPrefix}-SavedItem-${index}`;
+    const title = element.querySelector('.saved-for-later__title');
+    title.id = titleId;
+    title.href = item.url;
+    title.textContent = item.title;
+
+    const image = element.querySelector('.saved-for-later__image');
+    item.image ? (image.src = item.image) : image.parentElement.remove();
+
+    const variant = element.querySelector('.saved-for-later__variant');
+    item.variantTitle ? (variant.textContent = item.variantTitle) : variant.remove();
+    element.querySelector('.saved-for-later__quantity').textContent = window.cartStrings.savedQuantity.replace(
+      '[quantity]',
+      item.quantity
+    );
+
+    const moveButton = element.querySelector('.saved-for-later__move');
+    const removeButton = element.querySelector('.saved-for-later__remove');
+    moveButton.setAttribute('aria-describedby', titleId);
+    removeButton.setAttribute('aria-describedby', titleId);
+    moveButton.addEventListener('click', () => this.moveToCart(item, element));
+    removeButton.addEventListener('click', () => this.remove(item));
+
+    this.checkAvailability(item, element);
+
+    return element;
+  }
+
+  checkAvailability(item, element) {
+    const productUrl = item.url.split('?')[0];
+    if (!SavedForLater.products.has(productUrl)) {
+      SavedForLater.products.set(
+        productUrl,
+        fetch(`${productUrl}.js`, { headers: { Accept: 'application/json' } }).then((response) =>
+          // Deleted and unpublished products are unavailable too
+          response.ok ? response.json() : null
+        )
+      );
+    }
+
+    SavedForLater.products
+      .get(productUrl)
+      .then((product) => {
+        const variant = product?.variants.find((variant) => variant.id === item.variantId);
+        if (variant?.available) return;
+
+        element.classList.add('saved-for-later__item--unavailable');
+        element.querySelector('.saved-for-later__unavailable').hidden = false;
+        element.querySelector('.saved-for-later__move').setAttribute('aria-disabled', true);
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  moveToCart(item, element) {
+    const moveButton = element.querySelector('.saved-for-later__move');
+    if (moveButton.getAttribute('aria-disabled') === 'true') return;
+
+    const cartItems = document.querySelector(this.dataset.target);
+    const line = { id: item.variantId, quantity: item.quantity, properties: item.properties };
+    if (item.sellingPlanId) line.selling_plan = item.sellingPlanId;
+
+    setButtonLoading(moveButton, true);
+
+    CartClient.add(
+      { items: [line] },
+      {
+        sections: cartItems?.getSectionsToRender().map((section) => section.section),
+        source: 'cart-items',
+        eventData: { productVariantId: item.variantId },
+      }
+    )
+      // Taken off the list before the cart re-renders, so a list rendered with the new sections doesn't show it. The
+      // line is in the cart by then, so a list that can't be saved only keeps showing it
+      .then((state) =>
+        SavedItems.remove(item)
+          .catch((e) => {
+            console.error(e);
+          })
+          .then(() => state)
+      )
+      .then((state) => {
+        cartItems?.renderSections(state);
+        const savedForLater = getRerenderedElement(this);
+        announce(
+          savedForLater.querySelector('[role="status"]'),
+          window.cartStrings.savedMoved.replace('[title]', item.title)
+        );
+      })
+      .catch((error) => {
+        if (!error.status) console.error(error);
+
+        setFormMessage(element.querySelector('.saved-for-later__error'), error.message);
+        setButtonLoading(moveButton, false);
+      });
+  }
+
+  remove(item) {
+    SavedItems.remove(item)
+      .then(() => this.render())
+      .then(() => {
+        announce(this.querySelector('[role="status"]'), window.cartStrings.savedRemoved.replace('[title]', item.title));
+        if (!this.content.hidden) this.querySelector('.saved-for-later__heading').focus();
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+}
+
+customElements.define('saved-for-later', SavedForLater);
+
+class CartSaveButton extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      event.preventDefault();
+      this.save();
+    });
+  }
+
+  // The line is saved before it's removed from the cart, and the list is put back as it was if the removal fails
+  save() {
+    const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+    const index = this.dataset.index;
+    const line = cartItems.getLineData(index);
+    if (!line) return;
+
+    const entry = {
+      variantId: line.id,
+      quantity: line.quantity,
+      properties: line.properties,
+      sellingPlanId: line.sellingPlanId,
+      url: this.dataset.url,
+      title: line.title,
+      variantTitle: this.dataset.variantTitle,
+      image: this.dataset.image,
+    };
+    const idPrefix = cartItems.tagName === 'CART-DRAWER-ITEMS' ? 'CartDrawer' : 'Cart';
+
+    cartItems.enableLoading(index);
+    SavedItems.getAll()
+      .then((previousItems) =>
+        SavedItems.add(entry)
+          .then(() =>
+            CartClient.change(
+              { line: index, quantity: 0 },
+              {
+                sections: cartItems.getSectionsToRender().map((section) => section.section),
+                source: 'cart-items',
+                eventData: { variantId: line.id },
+              }
+            )
+          )
+          .catch((error) => {
+            SavedItems.restore(previousItems).catch((e) => {
+              console.error(e);
+            });
+            throw error;
+          })
+      )
+      .then((state) => {
+        cartItems.renderSections(state);
+
+        const savedForLater = document.querySelector(`saved-for-later[data-id-prefix="${idPrefix}"]`);
+        if (!savedForLater) return;
+
+        // A list rendered with the new sections only shows its items once it read them from storage
+        return savedForLater.render().then(() => {
+          announce(
+            savedForLater.querySelector('[role="status"]'),
+            window.cartStrings.savedForLater.replace('[title]', line.title)
+          );
+
+          const heading = savedForLater.querySelector('.saved-for-later__heading');
+          const cartDrawerWrapper = document.querySelector('cart-drawer');
+          cartDrawerWrapper ? trapFocus(cartDrawerWrapper, heading) : heading.focus();
+        });
+      })
+      .catch((error) => {
+        if (!error.status) console.error(error);
+        cartItems.updateLiveRegions(index, error.message);
+      })
+      .finally(() => {
+        cartItems.disableLoading(index);
+      });
+  }
+}
+
+customElements.define('cart-save-button', CartSaveButton);
@@ -0,0 +1,125 @@
+if (!customElements.get('selling-plan-picker')) {
+  customElements.define(
+    'selling-plan-picker',
+    class SellingPlanPicker extends HTMLElement {
+      variantChangeUnsubscriber = undefined;
+
+      constructor() {
+        super();
+
+        this.prices = JSON.parse(this.querySelector('script[type="application/json"]').textContent);
+        this.variantIdInput = this.closest('form').querySelector('input[name="id"]');
+        this.addEventListener('change', this.onChange.bind(this));
+      }
+
+      connectedCallback() {
+        this.variantChangeUnsubscriber = subscribe(PUB_SUB_EVENTS.variantChange, (event) => {
+          // Only the product form the change happened in has its variant input set to the new variant
+          if (event.data.variant.id.toString() !== this.variantIdInput.value) return;
+
+          this.oneTimePriceHTML = this.priceElement?.innerHTML;
+          this.update();
+        });
+
+        // The price block is rendered with the one-time price, which is kept to go back to it
+        this.oneTimePriceHTML = this.priceElement?.innerHTML;
+        this.update();
+      }
+
+      disconnectedCallback() {
+        if (this.variantChangeUnsubscriber) {
+          this.variantChangeUnsubscriber();
+        }
+      }
+
+      get priceElement() {
+        return document.getElementById(this.dataset.priceId);
+      }
+
+      get selectedPlanId() {
+        return this.querySelector('select[name="selling_plan"]:enabled')?.value || null;
+      }
+
+      onChange(event) {
+        if (event.target.type === 'radio') this.toggleGroups();
+        this.update();
+      }
+
+      // Only the select of the chosen group is enabled, so it's the only one submitted with the form
+      toggleGroups() {
+        this.querySelectorAll('.selling-plan-picker__option').forEach((option) => {
+          const plans = option.querySelector('.selling-plan-picker__plans');
+          if (!plans) return;
+
+          const selected = option.querySelector('.selling-plan-picker__radio').checked;
+          plans.hidden = !selected;
+          plans.querySelector('select').disabled = !selected;
+        });
+      }
+
+      update() {
+        const variant = this.prices[this.variantIdInput.value];
+        if (!variant) return;
+
+        this.querySelectorAll('.selling-plan-picker__option').forEach((option) => {
+          const radio = option.querySelector('.selling-plan-picker__radio');
+          const select = option.querySelector('select');
+
+          // Plans the variant isn't sold with can't be chosen, nor groups without any of them
+          if (select) {
+            const planOptions = Array.from(select.options);
+            planOptions.forEach((planOption) => (planOption.disabled = !variant.plans[planOption.value]));
+            if (select.selectedOptions[0]?.disabled) {
+              select.value = planOptions.find((planOption) => !planOption.disabled)?.value ?? '';
+            }
+            radio.disabled = planOptions.every((planOption) => planOption.disabled);
+          }
+
+          const plan = select ? variant.plans[select.value] : null;
+          option.querySelector('[data-price]').textContent = plan ? plan.price : variant.price;
+
+          const savings = option.querySelector('[data-savings]');
+          if (savings) {
+            savings.textContent = plan?.savings || '';
+            savings.hidden = !plan?.savings;
+          }
+        });
+
+        if (this.querySelector('.selling-plan-picker__radio:checked:disabled')) {
+          const radio = this.querySelector('.selling-plan-picker__radio:enabled');
+          if (radio) radio.checked = true;
+          this.toggleGroups();
+        }
+
+        this.renderPrice(variant.plans[this.selectedPlanId]);
+      }
+
+      renderPrice(plan) {
+        const priceElement = this.priceElement;
+        if (!priceElement || this.oneTimePriceHTML === undefined) return;
+
+        // The price block is a live region, so it's only written when the price changes
+        if (priceElement.innerHTML !== this.oneTimePriceHTML) priceElement.innerHTML = this.oneTimePriceHTML;
+        const price = priceElement.querySelector('.price');
+        if (!plan || !price) return;
+
+        price
+          .querySelectorAll('.price__regular .price-item--regular, .price-item--sale')
+          .forEach((item) => (item.textContent = plan.price));
+        price.classList.toggle('price--on-sale', Boolean(plan.compare_at_price));
+        if (plan.compare_at_price) {
+          price.classList.remove('price--no-compare');
+          const compareAtPrice = price.querySelector('.price__sale s.price-item--regular');
+          if (compareAtPrice) compareAtPrice.textContent = plan.compare_at_price;
+        }
+
+        if (plan.savings) {
+          const savings = document.createElement('span');
+          savings.className = 'price__savings';
+          savings.textContent = plan.savings;
+          price.querySelector('.price__container').after(savings);
+        }
+      }
+    }
+  );
+}
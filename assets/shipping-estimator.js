@@ -0,0 +1,120 @@
+if (!customElements.get('shipping-estimator')) {
+  customElements.define(
+    'shipping-estimator',
+    class ShippingEstimator extends HTMLElement {
+      // Rates by address, shared by the cart page and drawer estimators. Any cart change can change the rates, so it's
+      // emptied on every cartUpdate
+      static cache = new Map();
+
+      cartUpdateUnsubscriber = undefined;
+
+      connectedCallback() {
+        const idPrefix = this.dataset.idPrefix;
+        // eslint-disable-next-line no-new
+        new Shopify.CountryProvinceSelector(`${idPrefix}-ShippingCountry`, `${idPrefix}-ShippingProvince`, {
+          hideElement: `${idPrefix}-ShippingProvinceContainer`,
+        });
+
+        this.form = this.querySelector('form');
+        this.submitButton = this.querySelector('.shipping-estimator__submit');
+        this.results = this.querySelector('.shipping-estimator__results');
+        this.form.addEventListener('submit', this.onSubmit.bind(this));
+
+        this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, () => {
+          ShippingEstimator.cache.clear();
+          if (this.address) this.estimate(this.address);
+        });
+      }
+
+      disconnectedCallback() {
+        if (this.cartUpdateUnsubscriber) {
+          this.cartUpdateUnsubscriber();
+        }
+      }
+
+      onSubmit(event) {
+        event.preventDefault();
+        if (this.submitButton.getAttribute('aria-disabled') === 'true') return;
+
+        const formData = new FormData(this.form);
+        this.estimate({
+          country: formData.get('country'),
+          province: formData.get('province') || '',
+          zip: formData.get('zip').trim(),
+        });
+      }
+
+      estimate(address) {
+        this.address = address;
+        const cacheKey = [address.country, address.province, address.zip.replace(/\s/g, '').toUpperCase()].join('|');
+
+        if (ShippingEstimator.cache.has(cacheKey)) {
+          this.renderRates(ShippingEstimator.cache.get(cacheKey));
+          return;
+        }
+
+        setButtonLoading(this.submitButton, true);
+        CartClient.getShippingRates(address)
+          .then((rates) => {
+            ShippingEstimator.cache.set(cacheKey, rates);
+            // A newer estimate replaced this one while it was polling
+            if (this.address === address) this.renderRates(rates);
+          })
+          .catch((error) => {
+            this.address = null;
+            this.renderError(error);
+          })
+          .finally(() => {
+            setButtonLoading(this.submitButton, false);
+          });
+      }
+
+      renderRates(rates) {
+        const list = this.results.querySelector('.shipping-estimator__rates');
+        list.replaceChildren(
+          ...rates.map((rate) => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            const price = document.createElement('span');
+            item.className = 'shipping-estimator__rate';
+            name.textContent = rate.name;
+            price.textContent = formatMoney(Math.round(parseFloat(rate.price) * 100));
+            item.append(name, price);
+
+            return item;
+          })
+        );
+
+        let message = window.cartStrings.shippingRatesMany.replace('[count]', rates.length);
+        if (rates.length === 0) message = window.cartStrings.shippingRatesNone;
+        if (rates.length === 1) message = window.cartStrings.shippingRatesOne;
+
+        this.showMessage(message);
+        this.form.querySelectorAll('[aria-invalid]').forEach((field) => field.removeAttribute('aria-invalid'));
+      }
+
+      // Address errors are keyed by field, e.g. { zip: ['is not valid for Canada'] }, and read best after the field label
+      renderError(error) {
+        this.results.querySelector('.shipping-estimator__rates').replaceChildren();
+        if (!error.errors || typeof error.errors !== 'object') {
+          this.showMessage(window.cartStrings.shippingRatesError);
+          return;
+        }
+
+        const messages = Object.entries(error.errors).map(([field, fieldErrors]) => {
+          const input = this.form.elements[field];
+          input?.setAttribute('aria-invalid', true);
+
+          const label = input?.labels[0]?.textContent.trim();
+          return [label, [].concat(fieldErrors).join(', ')].filter(Boolean).join(' ');
+        });
+        this.showMessage(messages.join('. '));
+      }
+
+      showMessage(message) {
+        this.results.querySelector('.shipping-estimator__message').textContent = message;
+        this.results.hidden = false;
+      }
+    }
+  );
+}
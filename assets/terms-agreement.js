@@ -0,0 +1,98 @@
+if (!customElements.get('terms-agreement')) {
+  customElements.define(
+    'terms-agreement',
+    class TermsAgreement extends HTMLElement {
+      static attribute = 'Terms accepted';
+      static storageKey = 'terms-agreement-accepted';
+      static listening = false;
+      static staleChecked = false;
+
+      constructor() {
+        super();
+
+        this.checkbox = this.querySelector('.terms-agreement__checkbox');
+        this.error = this.querySelector('.terms-agreement__error');
+        this.checkbox.addEventListener('change', () => TermsAgreement.setAccepted(this.checkbox.checked));
+      }
+
+      connectedCallback() {
+        TermsAgreement.listen();
+
+        // An agreement from a previous session is left on the cart, but no longer counts
+        if (!TermsAgreement.staleChecked && !TermsAgreement.accepted && this.dataset.acceptedAt) {
+          TermsAgreement.save(false);
+        }
+        TermsAgreement.staleChecked = true;
+
+        this.update();
+      }
+
+      static get accepted() {
+        return sessionStorage.getItem(TermsAgreement.storageKey) === 'true';
+      }
+
+      // Checkout buttons are replaced when the cart re-renders, so submissions are caught on the document
+      static listen() {
+        if (TermsAgreement.listening) return;
+        TermsAgreement.listening = true;
+
+        document.addEventListener(
+          'submit',
+          (event) => {
+            if (TermsAgreement.accepted || !event.submitter) return;
+
+            const agreement = Array.from(document.querySelectorAll('terms-agreement')).find((element) =>
+              event.submitter.matches(element.dataset.checkoutButtons)
+            );
+            if (!agreement) return;
+
+            event.preventDefault();
+            agreement.showError();
+          },
+          true
+        );
+      }
+
+      static setAccepted(accepted) {
+        accepted
+          ? sessionStorage.setItem(TermsAgreement.storageKey, 'true')
+          : sessionStorage.removeItem(TermsAgreement.storageKey);
+        document.querySelectorAll('terms-agreement').forEach((element) => element.update());
+        TermsAgreement.save(accepted);
+      }
+
+      // Attributes don't change the cart lines, so the cart isn't re-rendered
+      static save(accepted) {
+        CartClient.update(
+          { attributes: { [TermsAgreement.attribute]: accepted ? new Date().toISOString() : '' } },
+          { source: 'terms-agreement', silent: true }
+        ).catch((e) => {
+          console.error(e);
+        });
+      }
+
+      update() {
+        const accepted = TermsAgreement.accepted;
+        this.checkbox.checked = accepted;
+        if (accepted) this.hideError();
+
+        if (this.dataset.dynamicCheckoutButtons) {
+          setCheckoutBlocked(this.dataset.dynamicCheckoutButtons, 'terms', !accepted, this.error.id);
+        }
+      }
+
+      showError() {
+        this.error.hidden = false;
+        this.checkbox.setAttribute('aria-invalid', true);
+        this.checkbox.setAttribute('aria-describedby', this.error.id);
+        this.checkbox.focus();
+      }
+
+      hideError() {
+        this.error.hidden = true;
+        this.checkbox.removeAttribute('aria-invalid');
+        this.checkbox.removeAttribute('aria-describedby');
+      }
+    }
+  );
+}